@@ -0,0 +1,232 @@
+import {
+  languages,
+  workspace,
+  CallHierarchyItem,
+  CallHierarchyIncomingCall,
+  CallHierarchyOutgoingCall,
+  SymbolKind,
+  Position,
+  Range,
+} from 'vscode';
+import { basename } from 'path';
+import { AUTOIT_MODE } from './util';
+import {
+  getSyntaxTree,
+  getCalls,
+  getCallbackToken,
+  getCallbackName,
+  getFunctionAt,
+  getTokenAt,
+  lineAtOffset,
+  TokenType,
+} from './parser';
+import { getIncludedTrees, tokenToRange } from './ai_references';
+
+/**
+ * Returns the syntax trees of a document and of every script it includes
+ * @param {TextDocument} document The root document
+ * @returns {Array<{uri: Uri, tree: Object}>} The scripts, starting with the document
+ */
+const getScripts = document => [
+  { uri: document.uri, tree: getSyntaxTree(document) },
+  ...getIncludedTrees(document),
+];
+
+/**
+ * Creates the call hierarchy item of a Func, or of the global code of a script
+ * @param {Uri} uri The script the function is declared in
+ * @param {Object} tree The syntax tree of the script
+ * @param {Object|null} fn The Function node, or null for the code outside Funcs
+ * @param {Uri} rootUri The document the call hierarchy was opened in
+ * @returns {CallHierarchyItem} The item
+ */
+const createItem = (uri, tree, fn, rootUri) => {
+  const fileName = basename(uri.fsPath);
+  const toPosition = offset => {
+    const line = lineAtOffset(tree.lineStarts, offset);
+    return new Position(line, offset - tree.lineStarts[line]);
+  };
+  const item = fn
+    ? new CallHierarchyItem(
+        SymbolKind.Function,
+        fn.name,
+        fileName,
+        uri,
+        new Range(toPosition(fn.start), toPosition(fn.end)),
+        tokenToRange(fn.nameToken),
+      )
+    : new CallHierarchyItem(
+        SymbolKind.File,
+        fileName,
+        '',
+        uri,
+        new Range(toPosition(0), toPosition(tree.text.length)),
+        new Range(0, 0, 0, 0),
+      );
+  item.rootUri = rootUri;
+  return item;
+};
+
+/**
+ * Returns the functions called by name in a syntax tree, either directly or passed as a callback
+ * string to functions like `AdlibRegister` or `GUISetOnEvent`
+ * @param {Object} tree The syntax tree to search
+ * @returns {Array<{name: string, token: Object}>} The called names with the token naming them
+ */
+const getCallSites = tree => {
+  const declarations = new Set(tree.functions.map(fn => fn.nameToken));
+  return getCalls(tree).flatMap(call => {
+    if (call.member) return [];
+    const sites = [];
+    if (!declarations.has(call.nameToken)) sites.push({ name: call.name, token: call.nameToken });
+
+    const callbackToken = getCallbackToken(call);
+    if (callbackToken) sites.push({ name: getCallbackName(callbackToken), token: callbackToken });
+    return sites;
+  });
+};
+
+/**
+ * Finds the Func declaration of a name in a set of scripts
+ * @param {Array<{uri: Uri, tree: Object}>} scripts The scripts to search
+ * @param {string} name The function name
+ * @returns {{uri: Uri, tree: Object, fn: Object}|null} The declaration
+ */
+const findFunction = (scripts, name) => {
+  const lowerName = name.toLowerCase();
+  for (const { uri, tree } of scripts) {
+    const fn = tree.functions.find(({ name: fnName }) => fnName.toLowerCase() === lowerName);
+    if (fn) return { uri, tree, fn };
+  }
+  return null;
+};
+
+/**
+ * Returns the document a call hierarchy item belongs to, opening it if needed
+ * @param {Uri} uri The uri of the document
+ * @returns {Promise<TextDocument>} The document
+ */
+const openDocument = async uri =>
+  workspace.textDocuments.find(doc => doc.uri.toString() === uri.toString()) ||
+  workspace.openTextDocument(uri);
+
+/**
+ * Groups call sites by a key, keeping the first value created for each key
+ * @param {Map} groups The groups to add to
+ * @param {string} key The key of the group
+ * @param {Function} createGroup Creates the group value when the key is new
+ * @param {Range} range The range of the call site
+ */
+const addToGroup = (groups, key, createGroup, range) => {
+  if (!groups.has(key)) groups.set(key, { ...createGroup(), ranges: [] });
+  groups.get(key).ranges.push(range);
+};
+
+const AutoItCallHierarchyProvider = {
+  /**
+   * Finds the Func at a position, either its name, a call to it, a callback string naming it or
+   * any line within its body
+   * @param {TextDocument} document - The document the call hierarchy was opened in.
+   * @param {Position} position - The position of the cursor.
+   * @returns {CallHierarchyItem|null} - The item of the function or of the script's global code.
+   */
+  prepareCallHierarchy(document, position) {
+    const tree = getSyntaxTree(document);
+    const offset = document.offsetAt(position);
+    const token = getTokenAt(tree, offset);
+    const scripts = getScripts(document);
+
+    let name = null;
+    if (token && token.type === TokenType.Identifier) {
+      name = token.value;
+    } else if (token && token.type === TokenType.String) {
+      const callbackToken = getCalls(tree)
+        .map(getCallbackToken)
+        .find(match => match === token);
+      if (callbackToken) name = getCallbackName(callbackToken);
+    }
+
+    const declaration = name && findFunction(scripts, name);
+    if (declaration) {
+      return createItem(declaration.uri, declaration.tree, declaration.fn, document.uri);
+    }
+    return createItem(document.uri, tree, getFunctionAt(tree, offset), document.uri);
+  },
+
+  /**
+   * Finds the Funcs and scripts that call a function
+   * @param {CallHierarchyItem} item - The function being called.
+   * @returns {Promise<CallHierarchyIncomingCall[]>} - The callers with the ranges of their calls.
+   */
+  async provideCallHierarchyIncomingCalls(item) {
+    if (item.kind !== SymbolKind.Function) return [];
+
+    const rootDocument = await openDocument(item.rootUri);
+    const lowerName = item.name.toLowerCase();
+    const callers = new Map();
+
+    getScripts(rootDocument).forEach(({ uri, tree }) => {
+      getCallSites(tree).forEach(({ name, token }) => {
+        if (name.toLowerCase() !== lowerName) return;
+        const caller = getFunctionAt(tree, token.start);
+        addToGroup(
+          callers,
+          `${uri.toString()}|${caller ? caller.name.toLowerCase() : ''}`,
+          () => ({ item: createItem(uri, tree, caller, item.rootUri) }),
+          tokenToRange(token),
+        );
+      });
+    });
+
+    return [...callers.values()].map(
+      ({ item: caller, ranges }) => new CallHierarchyIncomingCall(caller, ranges),
+    );
+  },
+
+  /**
+   * Finds the Funcs called by a function or by the global code of a script. Built-in and
+   * library functions without a Func declaration in the include graph are left out.
+   * @param {CallHierarchyItem} item - The calling function or script.
+   * @returns {Promise<CallHierarchyOutgoingCall[]>} - The callees with the ranges of the calls.
+   */
+  async provideCallHierarchyOutgoingCalls(item) {
+    const rootDocument = await openDocument(item.rootUri);
+    const scripts = getScripts(rootDocument);
+    const script = scripts.find(({ uri }) => uri.toString() === item.uri.toString());
+    if (!script) return [];
+
+    const { tree } = script;
+    let caller = null;
+    if (item.kind === SymbolKind.Function) {
+      const declaration = findFunction([script], item.name);
+      if (!declaration) return [];
+      caller = declaration.fn;
+    }
+    const callees = new Map();
+
+    getCallSites(tree).forEach(({ name, token }) => {
+      if (getFunctionAt(tree, token.start) !== caller) return;
+      const declaration = findFunction(scripts, name);
+      if (!declaration) return;
+      addToGroup(
+        callees,
+        declaration.fn.name.toLowerCase(),
+        () => ({
+          item: createItem(declaration.uri, declaration.tree, declaration.fn, item.rootUri),
+        }),
+        tokenToRange(token),
+      );
+    });
+
+    return [...callees.values()].map(
+      ({ item: callee, ranges }) => new CallHierarchyOutgoingCall(callee, ranges),
+    );
+  },
+};
+
+const callHierarchyProvider = languages.registerCallHierarchyProvider(
+  AUTOIT_MODE,
+  AutoItCallHierarchyProvider,
+);
+
+export default callHierarchyProvider;
@@ -0,0 +1,179 @@
+import { languages, CodeAction, CodeActionKind, Range, WorkspaceEdit } from 'vscode';
+import { AUTOIT_MODE } from './util';
+import { getSyntaxTree } from './parser';
+import { findSimilarIncludes } from './includeResolver';
+import { SOURCE, getRequiredScript } from './ai_diagnostics';
+import { tokenToRange } from './ai_references';
+import { getAddIncludeEdit, getOrganizeIncludesEdits } from './includeEdits';
+import { getSyncHeaderEdits } from './headerEdits';
+import { getFunctionHeaders } from './functionHeader';
+
+const CLOSING_QUOTES = { '<': '>', '"': '"', "'": "'" };
+
+/**
+ * Finds the `#include` a diagnostic was reported on
+ * @param {Object} tree The syntax tree of the document
+ * @param {Diagnostic} diagnostic The diagnostic
+ * @returns {Object|undefined} The Include node
+ */
+const findInclude = (tree, diagnostic) =>
+  tree.includes.find(include => include.line === diagnostic.range.start.line);
+
+/**
+ * Creates the quick fixes replacing the file of an unresolved `#include` with the files of similar
+ * names found in the include folders
+ * @param {TextDocument} document The document
+ * @param {Object} include The Include node
+ * @param {Diagnostic} diagnostic The `unresolvedInclude` diagnostic
+ * @returns {CodeAction[]} One action per suggested file
+ */
+const getIncludeFileFixes = (document, include, diagnostic) => {
+  const [token] = include.tokens;
+  const directive = document.getText(tokenToRange(token));
+  const start = token.start + directive.indexOf(include.quote) + 1;
+  const range = new Range(
+    document.positionAt(start),
+    document.positionAt(start + include.file.length),
+  );
+
+  return findSimilarIncludes(include.file, include.library, document.fileName).map(
+    (file, index) => {
+      const action = new CodeAction(
+        `Change to ${include.quote}${file}${CLOSING_QUOTES[include.quote]}`,
+        CodeActionKind.QuickFix,
+      );
+      action.edit = new WorkspaceEdit();
+      action.edit.replace(document.uri, range, file);
+      action.diagnostics = [diagnostic];
+      action.isPreferred = index === 0;
+      return action;
+    },
+  );
+};
+
+/**
+ * Creates the quick fix removing an `#include` line
+ * @param {TextDocument} document The document
+ * @param {Object} include The Include node
+ * @param {Diagnostic} diagnostic The `duplicateInclude` or `unusedInclude` diagnostic
+ * @returns {CodeAction} The action
+ */
+const getRemoveIncludeFix = (document, include, diagnostic) => {
+  const reason = diagnostic.code === 'duplicateInclude' ? 'duplicate' : 'unused';
+  const action = new CodeAction(`Remove ${reason} #include`, CodeActionKind.QuickFix);
+  action.edit = new WorkspaceEdit();
+  action.edit.delete(document.uri, document.lineAt(include.line).rangeIncludingLineBreak);
+  action.diagnostics = [diagnostic];
+  action.isPreferred = true;
+  return action;
+};
+
+/**
+ * Creates the quick fix adding the `#include` a library function or constant needs
+ * @param {TextDocument} document The document
+ * @param {Object} tree The syntax tree of the document
+ * @param {Diagnostic} diagnostic The `missingInclude` diagnostic
+ * @returns {CodeAction[]} The action, or none if the name is no longer a library name
+ */
+const getAddIncludeFixes = (document, tree, diagnostic) => {
+  const script = getRequiredScript(document.getText(diagnostic.range));
+  if (!script) return [];
+
+  const action = new CodeAction(`Add #include <${script}>`, CodeActionKind.QuickFix);
+  action.edit = new WorkspaceEdit();
+  action.edit.set(document.uri, [getAddIncludeEdit(document, tree, script)]);
+  action.diagnostics = [diagnostic];
+  action.isPreferred = true;
+  return [action];
+};
+
+/**
+ * Creates the quick fix regenerating the mismatched fields of a function header from its Func
+ * @param {TextDocument} document The document
+ * @param {Object} tree The syntax tree of the document
+ * @param {Diagnostic} diagnostic The `staleHeader` diagnostic
+ * @returns {CodeAction[]} The action, or none if the header is in sync again
+ */
+const getSyncHeaderFixes = (document, tree, diagnostic) => {
+  const { line } = diagnostic.range.start;
+  const header = getFunctionHeaders(tree).find(
+    candidate => candidate.line <= line && candidate.endLine >= line,
+  );
+  const edits = header ? getSyncHeaderEdits(document, [header]) : [];
+  if (!edits.length) return [];
+
+  const action = new CodeAction('Sync header with Func signature', CodeActionKind.QuickFix);
+  action.edit = new WorkspaceEdit();
+  action.edit.set(document.uri, edits);
+  action.diagnostics = [diagnostic];
+  action.isPreferred = true;
+  return [action];
+};
+
+/**
+ * Creates the Organize Includes source action
+ * @param {TextDocument} document The document
+ * @returns {CodeAction[]} The action, or none if the includes are organized already
+ */
+const getOrganizeIncludesActions = document => {
+  const edits = getOrganizeIncludesEdits(document);
+  if (!edits.length) return [];
+
+  const action = new CodeAction('Organize Includes', CodeActionKind.SourceOrganizeImports);
+  action.edit = new WorkspaceEdit();
+  action.edit.set(document.uri, edits);
+  return [action];
+};
+
+const AutoItCodeActionProvider = {
+  /**
+   * Provides the quick fixes for the diagnostics of the built-in checks, and the Organize Includes
+   * source action when source actions are requested
+   * @param {TextDocument} document The document
+   * @param {Range} range The range the actions are requested for
+   * @param {CodeActionContext} context The diagnostics in the range and the requested kinds
+   * @returns {CodeAction[]} The actions
+   */
+  provideCodeActions(document, range, context) {
+    const { only } = context;
+    if (only && CodeActionKind.Source.contains(only)) {
+      const organize = CodeActionKind.SourceOrganizeImports;
+      return only.contains(organize) || organize.contains(only)
+        ? getOrganizeIncludesActions(document)
+        : [];
+    }
+
+    const tree = getSyntaxTree(document);
+    return context.diagnostics
+      .filter(diagnostic => diagnostic.source === SOURCE)
+      .flatMap(diagnostic => {
+        if (diagnostic.code === 'missingInclude') {
+          return getAddIncludeFixes(document, tree, diagnostic);
+        }
+        if (diagnostic.code === 'staleHeader') {
+          return getSyncHeaderFixes(document, tree, diagnostic);
+        }
+
+        const include = findInclude(tree, diagnostic);
+        if (!include) return [];
+
+        switch (diagnostic.code) {
+          case 'unresolvedInclude':
+            return getIncludeFileFixes(document, include, diagnostic);
+          case 'duplicateInclude':
+          case 'unusedInclude':
+            return [getRemoveIncludeFix(document, include, diagnostic)];
+          default:
+            return [];
+        }
+      });
+  },
+};
+
+const codeActionProvider = languages.registerCodeActionsProvider(
+  AUTOIT_MODE,
+  AutoItCodeActionProvider,
+  { providedCodeActionKinds: [CodeActionKind.QuickFix, CodeActionKind.SourceOrganizeImports] },
+);
+
+export default codeActionProvider;
@@ -5,13 +5,19 @@ import fs from 'fs';
 import { decode } from 'iconv-lite';
 import { parse } from 'jsonc-parser';
 import { performance } from 'perf_hooks';
-import { findFilepath, getIncludeText, functionDefinitionRegex } from './util';
+import { getIncludeText } from './util';
+import { resolveInclude } from './includeResolver';
+import { getSyntaxTree } from './parser';
+import { getInsertHeaderEdit } from './headerEdits';
 import conf from './ai_config';
 import { commandsList as _commandsList, commandsPrefix } from './commandsList';
 import { showInformationMessage, showErrorMessage, messages } from './ai_showMessage';
 import debugRemove from './commands/debugRemove';
 import traceRemove from './commands/trace';
 import functionTraceAdd from './commands/functionTraceAdd';
+import organizeIncludes from './commands/organizeIncludes';
+import syncHeaders from './commands/syncHeaders';
+import insertMissingHeaders from './commands/insertMissingHeaders';
 
 const { config } = conf;
 const aiOutCommon = window.createOutputChannel('AutoIt (global)', 'vscode-autoit-output');
@@ -805,7 +811,7 @@ const launchHelp = () => {
       for (let j = 0; j < udfPaths.length; j += 1) {
         let filePath = udfPaths[j];
         if (!fs.existsSync(filePath)) {
-          filePath = findFilepath(filePath, true);
+          filePath = resolveInclude(filePath, true);
           if (!filePath) {
             continue;
           }
@@ -1040,31 +1046,15 @@ const openInclude = () => {
   const editor = window.activeTextEditor;
   const doc = editor.document;
 
-  const currentLine = doc.lineAt(editor.selection.active.line).text;
-  const findInclude = /^(?:\s*)#include.+["'<](.*\.au3)["'>]/i;
-  const found = findInclude.exec(currentLine);
+  const { line } = editor.selection.active;
+  const include = getSyntaxTree(doc).includes.find(node => node.line === line);
 
-  if (found === null) {
+  if (!include) {
     window.showErrorMessage(`Not on #include line.`);
     return;
   }
 
-  let includeFile = found[1];
-
-  if (!fs.existsSync(includeFile)) {
-    // check based on current document directory
-    const docPath = path.dirname(doc.fileName);
-    const currFile = path.normalize(`${docPath}\\${includeFile}`);
-
-    if (fs.existsSync(currFile)) {
-      includeFile = currFile;
-    } else {
-      const library = found[0].includes('<');
-      includeFile = findFilepath(includeFile, library);
-    }
-  }
-
-  // check for
+  const includeFile = resolveInclude(include.file, include.library, doc.fileName);
   if (!includeFile) {
     window.showErrorMessage(`Unable to locate #include file.`);
     return;
@@ -1078,65 +1068,19 @@ const insertHeader = () => {
   const editor = window.activeTextEditor;
   const doc = editor.document;
   const currentLine = editor.selection.active.line;
-  const lineText = doc.lineAt(currentLine).text;
-  const { UDFCreator } = config;
 
-  const findFunc = functionDefinitionRegex.setFlags('i');
-  const found = findFunc.exec(lineText);
+  const functionNode = getSyntaxTree(doc).functions.find(
+    node => node.line === currentLine && node.name,
+  );
 
-  if (found === null) {
+  if (!functionNode) {
     window.showErrorMessage(`Not on function definition.`);
     return;
   }
-  const hdrType =
-    found[2].substring(0, 2) === '__' ? '#INTERNAL_USE_ONLY# ' : '#FUNCTION# =========';
-  let syntaxBegin = `${found[2]}(`;
-  let syntaxEnd = ')';
-  let paramsOut = 'None';
-  if (found[3]) {
-    const params = found[3].split(',').map((parameter, index) => {
-      parameter = parameter.trim();
-      let tag = '- ';
-      const paramIndex = parameter.search('=');
-      if (paramIndex !== -1) {
-        tag += '[optional] Default is ' + parameter.substring(paramIndex + 1).trim() + '.';
-        syntaxBegin += '[';
-        syntaxEnd = `]${syntaxEnd}`;
-      }
-      let byref = '';
-      if (parameter.substring(0, 5).toLowerCase() === 'byref') {
-        byref = 'ByRef ';
-        parameter = parameter.substring(6).trim(); // strip off byref keyword
-        tag += '[in/out] ';
-      }
-      syntaxBegin += (index ? ', ' : '') + byref + parameter;
-      return parameter
-        .split(' ')[0]
-        .padEnd(21)
-        .concat(tag);
-    });
-    const paramPrefix = '\n;                  ';
-    paramsOut = params.join(paramPrefix);
-  }
-  const syntaxOut = `${syntaxBegin}${syntaxEnd}`;
-  const header = `; ${hdrType}===========================================================================================================
-; Name ..........: ${found[2]}
-; Description ...:
-; Syntax ........: ${syntaxOut}
-; Parameters ....: ${paramsOut}
-; Return values .: None
-; Author ........: ${UDFCreator}
-; Modified ......:
-; Remarks .......:
-; Related .......:
-; Link ..........:
-; Example .......: No
-; ===============================================================================================================================
-`;
-
-  const newPosition = new Position(currentLine, 0);
+
+  const { range, newText } = getInsertHeaderEdit(doc, functionNode);
   editor.edit(editBuilder => {
-    editBuilder.insert(newPosition, header);
+    editBuilder.insert(range.start, newText);
   });
 };
 
@@ -1175,4 +1119,7 @@ export {
   debugRemove,
   functionTraceAdd,
   traceRemove,
+  organizeIncludes,
+  syncHeaders,
+  insertMissingHeaders,
 };
@@ -1,19 +1,56 @@
-import { languages, CompletionItem, CompletionItemKind, Range, workspace } from 'vscode';
-import completions from './completions';
 import {
-  includePattern,
-  variablePattern,
-  libraryIncludePattern,
-  findFilepath,
-  getIncludeData,
-  AUTOIT_MODE,
-  functionPattern as _functionPattern,
-} from './util';
+  languages,
+  CompletionItem,
+  CompletionItemKind,
+  MarkdownString,
+  Range,
+  workspace,
+} from 'vscode';
+import { basename } from 'path';
+import completions from './completions';
+import { getIncludeData, AUTOIT_MODE, functionPattern } from './util';
 import DEFAULT_UDFS from './constants';
+import {
+  getSyntaxTree,
+  getTokenAt,
+  getCallAt,
+  getFunctionAt,
+  getDeclarations,
+  getGlobalDeclarations,
+  getAssignments,
+  isComment,
+  isInStringOrComment,
+} from './parser';
+import { getIncludedTrees } from './ai_references';
+import { getAddIncludeEdit } from './includeEdits';
+import { listIncludeEntries } from './includeResolver';
+import {
+  WRAPPER_DIRECTIVES,
+  PRAGMA_OPTIONS,
+  findPragmaOption,
+  findWrapperDirective,
+  getDirectiveDocumentation,
+  getValueChoices,
+  takesValue,
+} from './directives';
+import { getParamConstants, isInConstantGroup } from './signatures/paramConstants';
+
+// the path typed so far in an `#include` directive, after its opening quote
+const INCLUDE_PATH = /^\s*#include\s*([<"'])([^>"']*)$/i;
+// the trigger characters that only start completions in the path of an `#include`
+const INCLUDE_TRIGGERS = ['<', '"', "'", '\\', '/'];
+// the name of a directive being typed, its value, or the option or value of a `#pragma compile`
+const DIRECTIVE_NAME = /^\s*#[\w-]*$/;
+const WRAPPER_VALUE = /^\s*#(AutoIt3Wrapper_\w+)\s*=\s*([^;]*)$/i;
+const PRAGMA_OPTION = /^\s*#pragma\s+compile\s*\(\s*(\w*)$/i;
+const PRAGMA_VALUE = /^\s*#pragma\s+compile\s*\(\s*(\w+)\s*,\s*([^)]*)$/i;
+// the trigger characters that only start completions in a directive or a flag argument
+const DIRECTIVE_TRIGGERS = ['#', '=', '(', ','];
+// the names of the library completions, in lowercase
+const libraryLabels = new Set(completions.map(({ label }) => label.toLowerCase()));
 
 let currentIncludeFiles = [];
 let includes = [];
-const functionPattern = _functionPattern.setFlags('gim');
 let parenTriggerOn = workspace.getConfiguration('autoit').get('enableParenTriggerForFunctions');
 
 workspace.onDidChangeConfiguration(event => {
@@ -31,7 +68,7 @@ workspace.onDidChangeConfiguration(event => {
 const createNewCompletionItem = (kind, name, itemDetail = 'Document Function') => {
   const compItem = new CompletionItem(name, kind);
 
-  compItem.detail = kind === CompletionItemKind.Variable ? 'Variable' : itemDetail;
+  compItem.detail = itemDetail;
 
   if (kind === CompletionItemKind.Function && parenTriggerOn) {
     compItem.commitCharacters = ['('];
@@ -55,14 +92,11 @@ const arraysMatch = (arr1, arr2) => {
  */
 const getLibraryFunctions = (libraryIncludes, doc) => {
   return libraryIncludes
-    .flatMap(file => {
-      const fullPath = findFilepath(file);
-      return fullPath
-        ? Object.keys(getIncludeData(fullPath, doc)).map(newFunc => {
-            return { file, newFunc };
-          })
-        : [];
-    })
+    .flatMap(file =>
+      Object.keys(getIncludeData(file, doc, true)).map(newFunc => {
+        return { file, newFunc };
+      }),
+    )
     .map(({ file, newFunc }) => {
       return createNewCompletionItem(CompletionItemKind.Function, newFunc, `Function from ${file}`);
     });
@@ -71,100 +105,391 @@ const getLibraryFunctions = (libraryIncludes, doc) => {
 /**
  * Collects the filenames of library includes, filtering out
  * ones that are already default AutoIt UDFs
- * @param {string} docText The contents of the document
+ * @param {Object} tree The syntax tree of the document
  * @returns {Array<string>} Array of library includes
  */
-const getLibraryIncludes = docText => {
+const getLibraryIncludes = tree => {
   const items = [];
-  let pattern = libraryIncludePattern.exec(docText);
-  while (pattern) {
-    const filename = pattern[1].replace('.au3', '');
+  tree.includes.forEach(({ file, library }) => {
+    if (!library) return;
+    const filename = file.replace('.au3', '');
     if (DEFAULT_UDFS.indexOf(filename) === -1) {
-      items.push(pattern[1]);
+      items.push(file);
     }
-
-    pattern = libraryIncludePattern.exec(docText);
-  }
+  });
 
   return items;
 };
 
 /**
- * Creates an array of completion items for AutoIt variables from the document.
- * @param {String} text Content of the document
+ * Describes a declaration for the detail of its completion, e.g. `Local Const (line 12)`,
+ * `Global (Array.au3, line 40)` or `Global (assigned, line 3)`
+ * @param {Object} declaration The declaration, or the first assignment of an undeclared variable
+ * @param {string} [fileName] The script the declaration is in, when it isn't the document
+ * @returns {string} The detail
+ */
+const getDeclarationDetail = (declaration, fileName) => {
+  const { scope, keyword, isConst, isEnum, assigned, token } = declaration;
+  let kind;
+  if (scope === 'param') kind = keyword === 'byref' ? 'ByRef Parameter' : 'Parameter';
+  else kind = scope === 'local' ? 'Local' : 'Global';
+  if (isEnum) kind += ' Enum';
+  else if (isConst) kind += ' Const';
+  else if (keyword === 'static') kind += ' Static';
+
+  const line = `${assigned ? 'assigned, ' : ''}line ${token.line + 1}`;
+  return `${kind} (${fileName ? `${fileName}, ${line}` : line})`;
+};
+
+/**
+ * Creates the completion items for the variables in scope at a position: the parameters and Locals
+ * of the enclosing Func, the Globals of the document and those of the scripts it includes. They are
+ * ranked in that order, and by their distance from the position within the document. Variables that
+ * are only assigned rank with the Locals inside the Func and with the Globals outside of Funcs. A
+ * Local hides a Global of the same name.
+ * @param {TextDocument} document The document
+ * @param {Object} tree The syntax tree of the document
+ * @param {number} offset The offset completions are requested at
  * @param {String} firstChar The first character of the text considered for a completion
  * @returns {Array<Object>} Array of CompletionItem objects
  */
-const getVariableCompletions = (text, firstChar) => {
-  const variables = [];
-  const foundVariables = {};
-  let variableName;
-
-  if (firstChar === '$') {
-    let pattern = variablePattern.exec(text);
-    while (pattern) {
-      [, variableName] = pattern;
-      if (variableName !== undefined && !(variableName in foundVariables)) {
-        foundVariables[variableName] = true;
-        variables.push(createNewCompletionItem(CompletionItemKind.Variable, variableName));
-      }
-      pattern = variablePattern.exec(text);
-    }
-  }
+const getVariableCompletions = (document, tree, offset, firstChar) => {
+  if (firstChar !== '$') return [];
+
+  const fn = getFunctionAt(tree, offset);
+  const { line } = document.positionAt(offset);
+  const candidates = [];
+  getDeclarations(tree).forEach(declaration => {
+    const { token } = declaration;
+    // the name being typed
+    if (token.start <= offset && offset <= token.end) return;
+    if (declaration.scope !== 'global' && declaration.function !== fn) return;
+
+    const rank = declaration.scope === 'global' ? 1 : 0;
+    candidates.push({ declaration, rank, distance: Math.abs(token.line - line) });
+  });
+  // variables that are only assigned, like `$hGUI = GUICreate(…)` or the variable of a For loop
+  const declared = new Set(candidates.map(({ declaration }) => declaration.name.toLowerCase()));
+  getAssignments(tree).forEach(({ token, function: assignedIn }) => {
+    if (token.start <= offset && offset <= token.end) return;
+    if ((assignedIn && assignedIn !== fn) || declared.has(token.value.toLowerCase())) return;
 
-  return variables;
+    const declaration = {
+      name: token.value,
+      token,
+      scope: assignedIn ? 'local' : 'global',
+      assigned: true,
+    };
+    const rank = assignedIn ? 0 : 1;
+    candidates.push({ declaration, rank, distance: Math.abs(token.line - line) });
+  });
+  // the UDF constants of the standard includes are offered with the library completions
+  getIncludedTrees(document).forEach(({ uri, tree: includeTree }) => {
+    getGlobalDeclarations(includeTree)
+      .filter(({ name }) => !libraryLabels.has(name.toLowerCase()))
+      .forEach(declaration => {
+        const fileName = basename(uri.fsPath);
+        candidates.push({ declaration, fileName, rank: 2, distance: 0 });
+      });
+  });
+
+  candidates.sort((a, b) => a.rank - b.rank || a.distance - b.distance);
+  const found = new Set();
+  return candidates
+    .filter(({ declaration }) => {
+      const key = declaration.name.toLowerCase();
+      if (found.has(key)) return false;
+      found.add(key);
+      return true;
+    })
+    .map(({ declaration, fileName, rank }, index) => {
+      const { isConst, isEnum } = declaration;
+      let kind = CompletionItemKind.Variable;
+      if (isEnum) kind = CompletionItemKind.EnumMember;
+      else if (isConst) kind = CompletionItemKind.Constant;
+
+      const item = new CompletionItem(declaration.name, kind);
+      item.detail = getDeclarationDetail(declaration, fileName);
+      // `$` followed by a digit sorts before the `$` names of the other completions
+      item.sortText = `$${rank}${String(index).padStart(5, '0')}`;
+      return item;
+    });
 };
 
 /**
  * Creates an array of CompletionItems for Functions declared in the document
- * @param {String} text Content of the document
+ * @param {Object} tree The syntax tree of the document
  * @returns {Array<Object>} Array of CompletionItem objects
  */
-const getLocalFunctionCompletions = text => {
+const getLocalFunctionCompletions = tree => {
   const functions = [];
   const foundFunctions = {};
 
-  let pattern = functionPattern.exec(text);
-  while (pattern) {
-    const { 1: functionName } = pattern;
-    if (!(functionName in foundFunctions)) {
+  tree.functions.forEach(({ name: functionName }) => {
+    if (functionName && !(functionName in foundFunctions)) {
       foundFunctions[functionName] = true;
       functions.push(createNewCompletionItem(CompletionItemKind.Function, functionName));
     }
-    pattern = functionPattern.exec(text);
-  }
+  });
 
   return functions;
 };
 
-const provideCompletionItems = (document, position) => {
-  // Gather the functions created by the user
+/**
+ * Creates the completions for the path of an `#include` being typed: the folders and scripts found
+ * in the folders the include is searched in. Folders continue the completion once accepted.
+ * @param {TextDocument} document The document
+ * @param {Position} position The position completions are requested at
+ * @returns {CompletionItem[]|null} The completions, or null if the position isn't in the path of an
+ * `#include`
+ */
+const getIncludeCompletions = (document, position) => {
+  const before = document.lineAt(position.line).text.slice(0, position.character);
+  const match = before.match(INCLUDE_PATH);
+  if (!match) return null;
 
-  const text = document.getText();
+  const [, quote, typed] = match;
+  const library = quote === '<';
+  const separator = typed.includes('/') && !typed.includes('\\') ? '/' : '\\';
+  const folderPart = typed.slice(0, Math.max(typed.lastIndexOf('\\'), typed.lastIndexOf('/')) + 1);
+  const range = new Range(
+    position.line,
+    position.character - typed.length + folderPart.length,
+    position.line,
+    position.character,
+  );
+
+  const ownPath = document.fileName.toLowerCase();
+  const entries = listIncludeEntries(folderPart, library, document.fileName);
+  return entries
+    .filter(entry => entry.filePath.toLowerCase() !== ownPath)
+    .map(entry => {
+      if (entry.directory) {
+        const item = new CompletionItem(`${entry.name}${separator}`, CompletionItemKind.Folder);
+        item.range = range;
+        item.command = { command: 'editor.action.triggerSuggest', title: 'Re-trigger completions' };
+        return item;
+      }
+
+      const item = new CompletionItem(entry.name, CompletionItemKind.File);
+      item.range = range;
+      item.detail = entry.filePath;
+      item.includeFile = { file: `${folderPart}${entry.name}`, library, document };
+      return item;
+    });
+};
+
+/**
+ * Creates the completions for the values of an `#AutoIt3Wrapper_*` directive or `#pragma compile`
+ * option. For lists, the value after the last comma is completed.
+ * @param {Object} entry The directive or option
+ * @param {string} typed The value typed so far
+ * @param {Position} position The position completions are requested at
+ * @returns {CompletionItem[]} The completions
+ */
+const getDirectiveValueCompletions = (entry, typed, position) => {
+  const current = entry.list ? typed.slice(typed.lastIndexOf(',') + 1).trimStart() : typed;
+  const range = new Range(
+    position.line,
+    position.character - current.length,
+    position.line,
+    position.character,
+  );
+  return getValueChoices(entry).map((choice, index) => {
+    const item = new CompletionItem(choice, CompletionItemKind.Value);
+    item.range = range;
+    item.sortText = String(index).padStart(3, '0');
+    return item;
+  });
+};
+
+/**
+ * Creates the completions of the directives: the names of the `#AutoIt3Wrapper_*` directives next
+ * to the other directives, the options of `#pragma compile`, and the values they accept
+ * @param {TextDocument} document The document
+ * @param {Position} position The position completions are requested at
+ * @returns {CompletionItem[]|null} The completions, or null if the position isn't in a directive
+ * name or value
+ */
+const getDirectiveCompletions = (document, position) => {
+  const before = document.lineAt(position.line).text.slice(0, position.character);
+  const retrigger = { command: 'editor.action.triggerSuggest', title: 'Re-trigger completions' };
+
+  const wrapperValue = before.match(WRAPPER_VALUE);
+  if (wrapperValue) {
+    const entry = findWrapperDirective(wrapperValue[1].toLowerCase());
+    return entry ? getDirectiveValueCompletions(entry, wrapperValue[2], position) : [];
+  }
+
+  const pragmaValue = before.match(PRAGMA_VALUE);
+  if (pragmaValue) {
+    const entry = findPragmaOption(pragmaValue[1]);
+    return entry ? getDirectiveValueCompletions(entry, pragmaValue[2], position) : [];
+  }
+
+  const pragmaOption = before.match(PRAGMA_OPTION);
+  if (pragmaOption) {
+    const range = new Range(
+      position.line,
+      position.character - pragmaOption[1].length,
+      position.line,
+      position.character,
+    );
+    return PRAGMA_OPTIONS.map(option => {
+      const item = new CompletionItem(option.label, CompletionItemKind.Property);
+      item.range = range;
+      item.insertText = `${option.label}, `;
+      item.documentation = new MarkdownString(getDirectiveDocumentation(option, true));
+      if (getValueChoices(option).length) item.command = retrigger;
+      return item;
+    });
+  }
+
+  if (!DIRECTIVE_NAME.test(before)) return null;
+
+  const range = new Range(
+    position.line,
+    before.lastIndexOf('#'),
+    position.line,
+    position.character,
+  );
+  const keywords = completions
+    .filter(({ label }) => label.startsWith('#'))
+    .map(item => ({ ...item, range }));
+  const directives = WRAPPER_DIRECTIVES.map(directive => {
+    const item = new CompletionItem(directive.label, CompletionItemKind.Keyword);
+    item.range = range;
+    item.detail = 'AutoIt3Wrapper directive';
+    item.documentation = new MarkdownString(getDirectiveDocumentation(directive));
+    if (takesValue(directive)) item.insertText = `${directive.label}=`;
+    if (getValueChoices(directive).length) item.command = retrigger;
+    return item;
+  });
+  return [...keywords, ...directives];
+};
+
+/**
+ * Documents an `#include` completion with the public functions of the script
+ * @param {CompletionItem} item The completion being shown
+ * @returns {CompletionItem} The completion
+ */
+const resolveCompletionItem = item => {
+  if (!item.includeFile || item.documentation) return item;
+
+  const { file, library, document } = item.includeFile;
+  const functions = Object.keys(getIncludeData(file, document, library))
+    .filter(name => !name.startsWith('__'))
+    .sort((a, b) => a.localeCompare(b));
+  item.documentation = new MarkdownString(
+    functions.length
+      ? `**Functions**\n\n${functions.map(name => `- \`${name}\``).join('\n')}`
+      : 'No public functions',
+  );
+  return item;
+};
+
+/**
+ * Gives the library completions whose UDF the document doesn't include yet, directly or through
+ * another include, an edit adding its `#include`
+ * @param {Array<Object>} items The library completions
+ * @param {TextDocument} document The document being completed
+ * @param {Object} tree The syntax tree of the document
+ * @returns {Array<Object>} The completions, with copies of those that need an `#include`
+ */
+const addIncludeEdits = (items, document, tree) => {
+  const toFileName = file => basename(file.replace(/\\/g, '/')).toLowerCase();
+  const included = new Set([
+    toFileName(document.fileName),
+    ...tree.includes.map(({ file }) => toFileName(file)),
+    ...getIncludedTrees(document).map(({ uri }) => toFileName(uri.fsPath)),
+  ]);
+
+  const edits = new Map();
+  return items.map(item => {
+    const { requiredScript } = item;
+    if (!requiredScript || included.has(requiredScript.toLowerCase())) return item;
+
+    if (!edits.has(requiredScript)) {
+      edits.set(requiredScript, [getAddIncludeEdit(document, tree, requiredScript)]);
+    }
+    return { ...item, additionalTextEdits: edits.get(requiredScript) };
+  });
+};
+
+/**
+ * Creates the completions for a flag, mode or style argument of a built-in function, such as the
+ * flag of `MsgBox`: the constants of its group first, then `BitOR` to combine them and the
+ * variables in scope. Inside `BitOR(…)`, the constants are those of the argument it is passed as.
+ * @param {TextDocument} document The document
+ * @param {Position} position The position completions are requested at
+ * @param {Object} tree The syntax tree of the document
+ * @returns {Array<Object>|null} The completions, or null if the position isn't in such an argument
+ */
+const getFlagCompletions = (document, position, tree) => {
+  const offset = document.offsetAt(position);
+  if (isInStringOrComment(tree, offset)) return null;
+
+  let callAt = getCallAt(tree, offset);
+  const inBitOr = !!callAt && callAt.call.name.toLowerCase() === 'bitor';
+  if (inBitOr) callAt = getCallAt(tree, callAt.call.open.start);
+  if (!callAt || callAt.call.member) return null;
+
+  const group = getParamConstants(callAt.call.name, Math.max(callAt.argumentIndex, 0));
+  if (!group) return null;
+
+  const constants = completions
+    .filter(({ label }) => isInConstantGroup(label, group))
+    .map((item, index) => ({ ...item, sortText: `!0${String(index).padStart(4, '0')}` }));
+  const bitOr = inBitOr
+    ? []
+    : completions
+        .filter(({ label }) => label === 'BitOR')
+        .map(item => ({ ...item, sortText: '!1' }));
+  const range = document.getWordRangeAtPosition(position);
+  const firstChar = range ? document.getText(range)[0] : '';
+
+  const autoInclude = workspace.getConfiguration('autoit').get('autoInclude');
+  return [
+    ...(autoInclude ? addIncludeEdits(constants, document, tree) : constants),
+    ...bitOr,
+    ...getVariableCompletions(document, tree, offset, firstChar),
+  ];
+};
+
+const provideCompletionItems = (document, position, cancellation, context) => {
+  const includeCompletions = getIncludeCompletions(document, position);
+  if (includeCompletions) return includeCompletions;
+  const directiveCompletions = getDirectiveCompletions(document, position);
+  if (directiveCompletions) return directiveCompletions;
+
+  const tree = getSyntaxTree(document);
+  const flagCompletions = getFlagCompletions(document, position, tree);
+  if (flagCompletions) return flagCompletions;
+  const { triggerCharacter } = context || {};
+  if ([...INCLUDE_TRIGGERS, ...DIRECTIVE_TRIGGERS].includes(triggerCharacter)) return null;
+
+  // Gather the functions created by the user
   let range = document.getWordRangeAtPosition(position);
   const prefix = range ? document.getText(range)[0] : '';
-  const includesCheck = [];
 
   if (!range) {
     range = new Range(position, position);
   }
 
-  // Remove completion offerings from commented lines
+  // Remove completion offerings from comments
   const line = document.lineAt(position.line);
-  const firstChar = line.text.charAt(line.firstNonWhitespaceCharacterIndex);
-  if (firstChar === ';' || _functionPattern.test(line.text)) return null;
+  const offset = document.offsetAt(position);
+  const token = getTokenAt(tree, offset);
+  if ((token && isComment(token) && offset > token.start) || functionPattern.test(line.text))
+    return null;
 
-  const variableCompletions = getVariableCompletions(text, prefix);
-  const functionCompletions = getLocalFunctionCompletions(text);
+  const variableCompletions = getVariableCompletions(document, tree, offset, prefix);
+  const functionCompletions = getLocalFunctionCompletions(tree);
 
   const localCompletions = [...variableCompletions, ...functionCompletions];
 
   // collect the includes of the document
-  let pattern = includePattern.exec(text);
-  while (pattern) {
-    includesCheck.push(pattern[1]);
-    pattern = includePattern.exec(text);
-  }
+  const includesCheck = tree.includes.filter(({ library }) => !library).map(({ file }) => file);
 
   // Redo the include collecting if the includes are different
   if (!arraysMatch(includesCheck, currentIncludeFiles)) {
@@ -188,17 +513,22 @@ const provideCompletionItems = (document, position) => {
     currentIncludeFiles = includesCheck;
   }
 
-  const libraryIncludes = getLibraryIncludes(text);
+  const libraryIncludes = getLibraryIncludes(tree);
   const libraryCompletions = getLibraryFunctions(libraryIncludes, document);
 
-  return [...completions, ...localCompletions, ...includes, ...libraryCompletions];
+  const autoInclude = workspace.getConfiguration('autoit').get('autoInclude');
+  const udfCompletions = autoInclude ? addIncludeEdits(completions, document, tree) : completions;
+
+  return [...udfCompletions, ...localCompletions, ...includes, ...libraryCompletions];
 };
 
 const completionFeature = languages.registerCompletionItemProvider(
   AUTOIT_MODE,
-  { provideCompletionItems },
+  { provideCompletionItems, resolveCompletionItem },
   '.',
   '$',
+  ...INCLUDE_TRIGGERS,
+  ...DIRECTIVE_TRIGGERS,
 );
 
 export default completionFeature;
@@ -1,6 +1,4 @@
 import { workspace, Uri, FileType, window } from 'vscode';
-import fs from 'fs';
-import path from 'path';
 import { showErrorMessage } from './ai_showMessage';
 
 const meta = require('../package.json');
@@ -211,35 +209,6 @@ const config = new Proxy(conf, {
   },
 });
 
-/**
- * Checks a filename with the include paths for a valid path
- * @param {string} file - the filename to append to the paths
- * @param {boolean} library - Search Autoit library first?
- * @returns {(string|boolean)} Full path if found to exist or false
- */
-const findFilepath = (file, library = true) => {
-  // work with copy to avoid changing main config
-  const includePaths = [...config.includePaths];
-  if (!library) {
-    // move main library entry to the bottom so that it is searched last
-    includePaths.push(includePaths.shift());
-  }
-
-  let newPath;
-  const pathFound = includePaths.some(iPath => {
-    newPath = path.normalize(`${iPath}\\`) + file;
-    if (fs.existsSync(newPath)) {
-      return true;
-    }
-    return false;
-  });
-
-  if (pathFound && newPath) {
-    return newPath;
-  }
-  return false;
-};
-
 function getPathsSmartHelp(defaultPath, confValue, i) {
   defaultPath.fullPath = {};
   for (const prefix in confValue) {
@@ -265,12 +234,10 @@ function getPathsSmartHelp(defaultPath, confValue, i) {
       const sMsgSuffix = msgSuffix;
       const aUdfPath = udfPath;
       updateFullPath(udfPath[k], oData).then(filePath => {
-        if (!filePath) {
-          filePath = findFilepath(aUdfPath[k], true);
-        }
         if (filePath) {
           aUdfPath[k] = filePath;
-        } else if (bShowErrors) {
+        } else if (bShowErrors && /[\\/]/.test(aUdfPath[k])) {
+          // bare file names are looked up in the include folders when help is launched
           showError(aUdfPath[k], oData, `${sMsgSuffix}.udfPath[${k}]`);
         }
       });
@@ -338,7 +305,7 @@ function addListener(listener) {
 }
 
 function removeListener(id) {
-  listeners.remove(id);
+  listeners.delete(id);
 }
 
 function noEvents(value) {
@@ -350,5 +317,4 @@ export default {
   addListener,
   removeListener,
   noEvents,
-  findFilepath,
 };
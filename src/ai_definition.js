@@ -1,5 +1,7 @@
 import { languages, Location, Position, Uri } from 'vscode';
-import { AUTOIT_MODE, getIncludePath, getIncludeText, getIncludeScripts } from './util';
+import { AUTOIT_MODE } from './util';
+import { getIncludedTrees } from './ai_references';
+import { getSyntaxTree, getTokenAt, getFunctionAt, findDeclaration, TokenType } from './parser';
 
 const AutoItDefinitionProvider = {
   /**
@@ -9,77 +11,70 @@ const AutoItDefinitionProvider = {
    * @returns {Location|null} - The location of the word definition, or null if not found.
    */
   provideDefinition(document, position) {
-    const lookupRange = document.getWordRangeAtPosition(position);
-    const lookupText = document.getText(lookupRange);
-    const documentText = document.getText();
-
-    const definitionRegex = this.determineRegex(lookupText);
-    let match = documentText.match(definitionRegex);
+    const tree = getSyntaxTree(document);
+    const offset = document.offsetAt(position);
+    const token = getTokenAt(tree, offset);
+    if (!token || (token.type !== TokenType.Variable && token.type !== TokenType.Identifier)) {
+      return null;
+    }
 
-    if (match) {
-      return new Location(document.uri, document.positionAt(match.index + (match[1] || '').length));
+    const definition = this.findDefinition(tree, token.value, getFunctionAt(tree, offset));
+    if (definition) {
+      return new Location(document.uri, document.positionAt(definition.start));
     }
 
     // If nothing was found, search include files
-    match = this.findDefinitionInIncludeFiles(documentText, definitionRegex, document);
+    const match = this.findDefinitionInIncludeFiles(token.value, document);
 
-    if (match && match.found) {
-      const { scriptPath } = match;
-      const scriptContentBeforeMatch = match.scriptContent
-        .slice(0, match.found.index + (match[1] || '').length)
-        .split('\n');
-      const matchLine = scriptContentBeforeMatch.length - 1;
-      const matchCharacterIndex =
-        scriptContentBeforeMatch[scriptContentBeforeMatch.length - 1].length;
-      return new Location(Uri.file(scriptPath), new Position(matchLine, matchCharacterIndex));
+    if (match) {
+      const { scriptPath, found } = match;
+      return new Location(Uri.file(scriptPath), new Position(found.line, found.character));
     }
 
     return null;
   },
 
   /**
-   * Determines the regex for a given lookup string.
-   * @param {string} lookup - The lookup string.
-   * @returns {RegExp} The regex for the lookup string.
+   * Finds the token where a function or variable is defined within a script.
+   * Variables without a declaration resolve to their first assignment in the same scope.
+   * @param {Object} tree - The syntax tree of the script.
+   * @param {string} lookup - The function or variable name.
+   * @param {Object|null} fn - The Function node the lookup is made from, or null to search globals only.
+   * @returns {Object|null} The token of the definition, or null if not found.
    */
-  determineRegex(lookup) {
-    const variableRegex = /(?<![;].*)(?<!(?:#cs|#comments-start).*)((?:Local|Global|Const)\s*)?@(?:\[[\w\d\\$]+\])?\s*=?.*(?![^#]*(#ce|#comments-end))/;
-
-    if (lookup.startsWith('$')) {
-      return new RegExp(variableRegex.source.replace('@', `\\${lookup}\\b`), 'i');
+  findDefinition(tree, lookup, fn) {
+    const lowerLookup = lookup.toLowerCase();
+
+    if (!lookup.startsWith('$')) {
+      const functionNode = tree.functions.find(
+        ({ name }) => name && name.toLowerCase() === lowerLookup,
+      );
+      return functionNode ? functionNode.nameToken : null;
     }
-    return new RegExp(
-      `(?<![;].*)(?<!(?:#cs|#comments-start).*)(Func\\s+)${lookup}\\s*\\((?![^#]*(#ce|#comments-end))`,
+
+    const declaration = findDeclaration(tree, lookup, fn);
+    if (declaration) return declaration.token;
+
+    return (
+      tree.tokens.find(
+        token =>
+          token.type === TokenType.Variable &&
+          token.value.toLowerCase() === lowerLookup &&
+          getFunctionAt(tree, token.start) === fn,
+      ) || null
     );
   },
 
   /**
-   * Searches the included scripts in a document for a definition matching a regular expression.
-   * @param {string} docText - The text of the document.
-   * @param {RegExp} defRegex - The regular expression to search for.
+   * Searches the included scripts in a document for a definition of a function or global variable.
+   * @param {string} lookup - The function or variable name.
    * @param {TextDocument} document - The document being searched.
-   * @returns {object|null} - An object containing information about the found definition, or null if not found.
+   * @returns {object|null} - An object containing the script path and the token of the definition, or null if not found.
    */
-  findDefinitionInIncludeFiles(docText, defRegex, document) {
-    const scriptsToSearch = [];
-    let returnObject = false;
-    getIncludeScripts(document, docText, scriptsToSearch);
-
-    const searchScript = (script) => {
-      const scriptPath = getIncludePath(script, document);
-      const scriptContent = getIncludeText(scriptPath);
-      const found = scriptContent.match(defRegex);
-
-      if (returnObject) return { scriptPath, scriptContent, found };
-
-      return found;
-    };
-
-    const match = scriptsToSearch.find(searchScript);
-
-    if (match) {
-      returnObject = true;
-      return searchScript(match);
+  findDefinitionInIncludeFiles(lookup, document) {
+    for (const { uri, tree: scriptTree } of getIncludedTrees(document)) {
+      const found = this.findDefinition(scriptTree, lookup, null);
+      if (found) return { scriptPath: uri.fsPath, found };
     }
 
     return null;
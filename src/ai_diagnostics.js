@@ -0,0 +1,584 @@
+import { workspace, Diagnostic, DiagnosticTag, Disposable, Range } from 'vscode';
+import fs from 'fs';
+import { basename } from 'path';
+import completions from './completions';
+import DEFAULT_UDFS from './constants';
+import {
+  getSyntaxTree,
+  getCalls,
+  getDeclarations,
+  getNameTokens,
+  analyzeScopes,
+  getGlobalNames,
+  getGlobalDeclarations,
+  getCallbackToken,
+  getCallbackName,
+  SCOPE_CHECKS,
+} from './parser';
+import { getIncludedTrees, tokenToRange } from './ai_references';
+import { getDiagnosticSeverity, replaceDiagnostics } from './diagnosticUtils';
+import {
+  getEditDistance,
+  getIncludedScripts,
+  getStandardIncludeDir,
+  isStandardInclude,
+  resolveInclude,
+} from './includeResolver';
+import { getStaleHeaders } from './headerEdits';
+import {
+  WRAPPER_DIRECTIVES,
+  PRAGMA_OPTIONS,
+  getDirectiveParts,
+  describeValue,
+  isValidValue,
+  normalizeValue,
+} from './directives';
+import conf from './ai_config';
+
+const { config } = conf;
+
+export const SOURCE = 'AutoIt';
+const ANALYZE_DELAY = 500;
+// the scope checks Au3Check also does: undeclared variables and those mirroring a `-w` switch
+const AU3CHECK_CHECKS = [
+  'undeclared',
+  ...Object.keys(SCOPE_CHECKS).filter(key => SCOPE_CHECKS[key]),
+];
+
+const libraryConstants = new Set(
+  completions.filter(({ label }) => label.startsWith('$')).map(({ label }) => label.toLowerCase()),
+);
+const defaultUdfFiles = new Set(DEFAULT_UDFS.map(name => `${name.toLowerCase()}.au3`));
+// the standard UDF each library function and constant is defined in
+const requiredScripts = new Map(
+  completions
+    .filter(({ requiredScript }) => requiredScript)
+    .map(({ label, requiredScript }) => [label.toLowerCase(), requiredScript]),
+);
+
+// the library functions and constants of each standard UDF, by lowercase file name
+const scriptNames = new Map();
+requiredScripts.forEach((script, name) => {
+  const key = script.toLowerCase();
+  if (!scriptNames.has(key)) scriptNames.set(key, []);
+  scriptNames.get(key).push(name);
+});
+// the statements a script can have without doing anything when it is included
+const DEFINITION_TYPES = ['Function', 'VariableDeclaration', 'Directive', 'Include'];
+
+/**
+ * Returns the standard UDF a library function or constant is defined in
+ * @param {string} name The function or constant name
+ * @returns {string|undefined} The file name, e.g. `Array.au3`
+ */
+export const getRequiredScript = name => requiredScripts.get(name.toLowerCase());
+
+/**
+ * Checks if a script turns on `MustDeclareVars` with `Opt` or `AutoItSetOption`
+ * @param {Object} tree The syntax tree of the script
+ * @returns {boolean} `true` if variables must be declared
+ */
+const hasMustDeclareVars = tree =>
+  getCalls(tree).some(({ name, args }) => {
+    if (!['opt', 'autoitsetoption'].includes(name.toLowerCase()) || args.length < 2) return false;
+    const [option] = args[0].tokens;
+    const [value] = args[1].tokens;
+    return (
+      !!option && /^["']MustDeclareVars["']$/i.test(option.value) && value && value.value === '1'
+    );
+  });
+
+/**
+ * Checks if Au3Check runs on the documents, which it does on Windows when it can be found
+ * @returns {boolean} `true` if Au3Check reports its own problems
+ */
+const runsAu3Check = () => process.platform === 'win32' && fs.existsSync(config.checkPath);
+
+/**
+ * Determines which scope checks to run on a script. The `autoit.scopeDiagnostics` setting can be
+ * overridden per script by the `-w`/`-w-` and `-d` switches of `#AutoIt3Wrapper_AU3Check_Parameters`.
+ * The checks Au3Check also does are left to it when it runs.
+ * @param {Object} tree The syntax tree of the script
+ * @returns {{checks: Set<string>, mustDeclare: boolean}} The checks and the MustDeclareVars state
+ */
+const getCheckOptions = tree => {
+  const settings = config.scopeDiagnostics || {};
+  const checks = new Set(Object.keys(SCOPE_CHECKS).filter(check => settings[check] !== false));
+  let mustDeclare = hasMustDeclareVars(tree);
+
+  const parameters = tree.directives
+    .filter(({ name }) => name === 'autoit3wrapper_au3check_parameters')
+    .pop();
+  if (parameters) {
+    for (const [, flag, value] of parameters.argument.matchAll(/(-w-?)\s+(\d+)/g)) {
+      const check = Object.keys(SCOPE_CHECKS).find(name => SCOPE_CHECKS[name] === Number(value));
+      if (check && flag === '-w') checks.add(check);
+      else if (check) checks.delete(check);
+    }
+    if (/(?:^|[\s=])-d\b/.test(parameters.argument)) mustDeclare = true;
+  }
+  // the problems Au3Check finds would be reported twice
+  if (runsAu3Check()) AU3CHECK_CHECKS.forEach(check => checks.delete(check));
+
+  return { checks, mustDeclare };
+};
+
+/**
+ * Runs the scope checks on a document, using the Globals of the scripts it includes
+ * @param {TextDocument} document The document to check
+ * @param {Array<{uri: Uri, tree: Object}>} includedTrees The scripts the document includes
+ * @returns {Diagnostic[]} The problems found
+ */
+const getScopeDiagnostics = (document, includedTrees) => {
+  const tree = getSyntaxTree(document);
+  const { checks, mustDeclare } = getCheckOptions(tree);
+
+  const knownGlobals = new Map();
+  includedTrees.forEach(({ tree: includeTree }) => {
+    getGlobalNames(includeTree).forEach((value, name) => knownGlobals.set(name, value));
+  });
+
+  // Globals of scripts that can't be found would all be reported as undeclared
+  const foundFiles = new Set(includedTrees.map(({ uri }) => basename(uri.fsPath).toLowerCase()));
+  const isMissingInclude = ({ file }) => {
+    const fileName = basename(file.replace(/\\/g, '/')).toLowerCase();
+    return !foundFiles.has(fileName) && !defaultUdfFiles.has(fileName);
+  };
+  if (tree.includes.some(isMissingInclude)) checks.delete('undeclared');
+
+  return analyzeScopes(tree, {
+    checks,
+    knownGlobals,
+    ignore: libraryConstants,
+    mustDeclare,
+  }).map(({ check, token, message, severity }) => {
+    const diagnostic = new Diagnostic(
+      tokenToRange(token),
+      message,
+      getDiagnosticSeverity(severity),
+    );
+    diagnostic.code = check;
+    if (check === 'unusedLocal') diagnostic.tags = [DiagnosticTag.Unnecessary];
+    return diagnostic;
+  });
+};
+
+/**
+ * Collects the lowercase names of the functions and variables a script uses, including functions
+ * passed by name to callback functions like `HotKeySet`
+ * @param {Object} tree The syntax tree of the script
+ * @returns {Set<string>} The names
+ */
+const getUsedNames = tree =>
+  new Set([
+    ...getNameTokens(tree).map(({ value }) => value.toLowerCase()),
+    ...getCalls(tree)
+      .map(getCallbackToken)
+      .filter(Boolean)
+      .map(token => getCallbackName(token).toLowerCase()),
+  ]);
+
+/**
+ * Finds the `#include` lines of a document from which nothing is used. An include is used when the
+ * document, or one of its own scripts that doesn't include the file itself, uses a function or
+ * Global defined by the file or by the scripts it includes. Includes that can't be read, and
+ * scripts that run code when included, always count as used.
+ * @param {TextDocument} document The document
+ * @param {Array<{uri: Uri, tree: Object}>} [includedTrees] The scripts the document includes
+ * @returns {Object[]} The unused Include nodes
+ */
+export const getUnusedIncludes = (document, includedTrees = getIncludedTrees(document)) => {
+  const tree = getSyntaxTree(document);
+  const scriptPath = document.fileName;
+  const scripts = new Map(
+    includedTrees.map(({ uri, tree: includeTree }) => [
+      uri.fsPath.toLowerCase(),
+      { filePath: uri.fsPath, tree: includeTree },
+    ]),
+  );
+  const getTree = includePath => (scripts.get(includePath.toLowerCase()) || {}).tree || null;
+
+  const closures = new Map();
+  const getClosure = (filePath, scriptTree) => {
+    const key = filePath.toLowerCase();
+    if (!closures.has(key)) {
+      const included = getIncludedScripts(filePath, scriptTree, getTree);
+      closures.set(key, new Set([key, ...included.map(script => script.toLowerCase())]));
+    }
+    return closures.get(key);
+  };
+
+  // the scripts that can rely on what the document includes; the standard UDFs include what they use
+  const users = [
+    { filePath: scriptPath, tree },
+    ...[...scripts.values()].filter(({ filePath }) => !isStandardInclude(filePath)),
+  ].map(user => ({ ...user, names: getUsedNames(user.tree) }));
+
+  const checked = new Set();
+  return tree.includes.filter(include => {
+    const includePath = include.function
+      ? null
+      : resolveInclude(include.file, include.library, scriptPath);
+    const includeTree = includePath && getTree(includePath);
+    if (!includeTree || checked.has(includePath.toLowerCase())) return false;
+    checked.add(includePath.toLowerCase());
+
+    const closure = getClosure(includePath, includeTree);
+    const provided = new Set();
+    for (const key of closure) {
+      const script = scripts.get(key);
+      if (!script || script.tree.body.some(({ type }) => !DEFINITION_TYPES.includes(type))) {
+        return false;
+      }
+      script.tree.functions.forEach(({ name }) => name && provided.add(name.toLowerCase()));
+      getGlobalDeclarations(script.tree).forEach(({ name }) => provided.add(name.toLowerCase()));
+      (scriptNames.get(basename(script.filePath).toLowerCase()) || []).forEach(name =>
+        provided.add(name),
+      );
+    }
+
+    return !users.some(({ filePath, tree: userTree, names }) => {
+      const key = filePath.toLowerCase();
+      if (closure.has(key)) return false;
+      if (
+        filePath !== scriptPath &&
+        getClosure(filePath, userTree).has(includePath.toLowerCase())
+      ) {
+        return false;
+      }
+      return [...names].some(name => provided.has(name));
+    });
+  });
+};
+
+/**
+ * Checks the `#include` lines of a document: files that can't be found, files included twice,
+ * includes that lead back to the document and scripts included more than once without
+ * `#include-once`
+ * @param {TextDocument} document The document to check
+ * @param {Array<{uri: Uri, tree: Object}>} includedTrees The scripts the document includes
+ * @returns {Diagnostic[]} The problems found
+ */
+const getIncludeDiagnostics = (document, includedTrees) => {
+  const tree = getSyntaxTree(document);
+  const scriptPath = document.fileName;
+  const scripts = [
+    [scriptPath, tree],
+    ...includedTrees.map(({ uri, tree: includeTree }) => [uri.fsPath, includeTree]),
+  ];
+  const trees = new Map(
+    scripts.slice(1).map(([filePath, script]) => [filePath.toLowerCase(), script]),
+  );
+  const getTree = includePath => trees.get(includePath.toLowerCase()) || null;
+  // without the AutoIt folder, the standard UDFs can't be checked
+  const canFindUdfs = fs.existsSync(getStandardIncludeDir());
+
+  // how often each script is included in the whole include graph
+  const includeCounts = new Map();
+  scripts.forEach(([includingPath, includingTree]) => {
+    includingTree.includes.forEach(({ file, library }) => {
+      const includePath = resolveInclude(file, library, includingPath);
+      if (!includePath) return;
+      const key = includePath.toLowerCase();
+      includeCounts.set(key, (includeCounts.get(key) || 0) + 1);
+    });
+  });
+
+  const diagnostics = [];
+  const report = (include, code, message, severity) => {
+    const diagnostic = new Diagnostic(
+      tokenToRange(include.tokens[0]),
+      message,
+      getDiagnosticSeverity(severity),
+    );
+    diagnostic.code = code;
+    if (code === 'duplicateInclude' || code === 'unusedInclude') {
+      diagnostic.tags = [DiagnosticTag.Unnecessary];
+    }
+    diagnostics.push(diagnostic);
+  };
+
+  const firstLines = new Map();
+  tree.includes.forEach(include => {
+    const { file, library } = include;
+    if (!file) return;
+
+    const includePath = resolveInclude(file, library, scriptPath);
+    if (!includePath) {
+      const fileName = basename(file.replace(/\\/g, '/')).toLowerCase();
+      const canCheck =
+        (canFindUdfs || !defaultUdfFiles.has(fileName)) && (library || !document.isUntitled);
+      if (canCheck)
+        report(include, 'unresolvedInclude', `Cannot find include file "${file}"`, 'error');
+      return;
+    }
+
+    const key = includePath.toLowerCase();
+    if (firstLines.has(key)) {
+      report(
+        include,
+        'duplicateInclude',
+        `${file} is already included on line ${firstLines.get(key) + 1}`,
+        'warning',
+      );
+      return;
+    }
+    firstLines.set(key, include.line);
+
+    const includeTree = getTree(includePath);
+    const isCircular =
+      key === scriptPath.toLowerCase() ||
+      (!!includeTree &&
+        getIncludedScripts(includePath, includeTree, getTree).some(
+          included => included.toLowerCase() === scriptPath.toLowerCase(),
+        ));
+    if (isCircular) {
+      report(include, 'circularInclude', `${file} includes this script again`, 'warning');
+    } else if (
+      includeCounts.get(key) > 1 &&
+      includeTree &&
+      !includeTree.directives.some(({ name }) => name === 'include-once')
+    ) {
+      report(
+        include,
+        'missingIncludeOnce',
+        `${file} is included more than once, but has no #include-once`,
+        'warning',
+      );
+    }
+  });
+
+  getUnusedIncludes(document, includedTrees).forEach(include => {
+    report(include, 'unusedInclude', `Nothing from ${include.file} is used`, 'hint');
+  });
+
+  return diagnostics;
+};
+
+/**
+ * Finds the library functions and constants used by a document whose standard UDF is not included,
+ * directly or through another include
+ * @param {TextDocument} document The document to check
+ * @param {Array<{uri: Uri, tree: Object}>} includedTrees The scripts the document includes
+ * @returns {Diagnostic[]} One warning for the first use of each name
+ */
+const getMissingIncludeDiagnostics = (document, includedTrees) => {
+  // the UDFs include each other, which can only be followed when the Include folder is found
+  if (!fs.existsSync(getStandardIncludeDir())) return [];
+
+  const tree = getSyntaxTree(document);
+  const reachable = new Set(includedTrees.map(({ uri }) => basename(uri.fsPath).toLowerCase()));
+  const defined = new Set(
+    [tree, ...includedTrees.map(({ tree: includeTree }) => includeTree)]
+      .flatMap(script => [
+        ...script.functions.map(({ name }) => name),
+        ...getDeclarations(script).map(({ name }) => name),
+      ])
+      .filter(Boolean)
+      .map(name => name.toLowerCase()),
+  );
+
+  const reported = new Set();
+  return getNameTokens(tree).flatMap(token => {
+    const name = token.value.toLowerCase();
+    const script = requiredScripts.get(name);
+    if (!script || reachable.has(script.toLowerCase()) || defined.has(name) || reported.has(name)) {
+      return [];
+    }
+
+    reported.add(name);
+    const diagnostic = new Diagnostic(
+      tokenToRange(token),
+      `${token.value} is defined in ${script}, which is not included`,
+      getDiagnosticSeverity('warning'),
+    );
+    diagnostic.code = 'missingInclude';
+    return [diagnostic];
+  });
+};
+
+/**
+ * Compares the function headers of a document with their Func signatures. The standard UDFs are
+ * not checked.
+ * @param {TextDocument} document The document to check
+ * @returns {Diagnostic[]} One warning per mismatch, on the header line it concerns
+ */
+const getHeaderDiagnostics = document => {
+  if (isStandardInclude(document.fileName)) return [];
+
+  return getStaleHeaders(document).flatMap(({ problems }) =>
+    problems.map(({ line, message }) => {
+      const { text, firstNonWhitespaceCharacterIndex } = document.lineAt(line);
+      const diagnostic = new Diagnostic(
+        new Range(line, firstNonWhitespaceCharacterIndex, line, text.trimEnd().length),
+        message,
+        getDiagnosticSeverity('warning'),
+      );
+      diagnostic.code = 'staleHeader';
+      return diagnostic;
+    }),
+  );
+};
+
+/**
+ * Finds the catalog name closest to a misspelled directive or option name
+ * @param {string} name The name as written
+ * @param {string[]} labels The names of the catalog
+ * @returns {string|undefined} The suggested name
+ */
+const findSimilarLabel = (name, labels) => {
+  const lowerName = name.toLowerCase();
+  const maxDistance = Math.max(2, Math.floor(lowerName.length / 4));
+  return labels
+    .map(label => ({ label, distance: getEditDistance(lowerName, label.toLowerCase()) }))
+    .filter(({ distance }) => distance <= maxDistance)
+    .sort((a, b) => a.distance - b.distance)
+    .map(({ label }) => label)[0];
+};
+
+/**
+ * Checks the `#AutoIt3Wrapper_*` and `#pragma compile` directives of a document: unknown names,
+ * values the directive doesn't accept, and directives and pragmas setting the same thing to
+ * different values
+ * @param {Object} tree The syntax tree of the document
+ * @returns {Diagnostic[]} One warning per problem, the conflicts on the later of the two lines
+ */
+const getDirectiveDiagnostics = tree => {
+  const diagnostics = [];
+  const report = (token, part, code, message) => {
+    const character = token.character + part.start - token.start;
+    const diagnostic = new Diagnostic(
+      new Range(token.line, character, token.line, character + part.end - part.start),
+      message,
+      getDiagnosticSeverity('warning'),
+    );
+    diagnostic.code = code;
+    diagnostics.push(diagnostic);
+  };
+
+  // the last value of each setting that has both a wrapper directive and a pragma option
+  const settings = new Map();
+  tree.directives.forEach(({ tokens: [token] }) => {
+    const parts = getDirectiveParts(token);
+    if (!parts || !parts.name.text) return;
+
+    const { kind, entry, name, value } = parts;
+    const wrapper = kind === 'wrapper';
+    if (!entry) {
+      const catalog = wrapper ? WRAPPER_DIRECTIVES : PRAGMA_OPTIONS;
+      const suggestion = findSimilarLabel(
+        name.text,
+        catalog.map(({ label }) => label),
+      );
+      const message = wrapper
+        ? `Unknown directive ${name.text}`
+        : `Unknown #pragma compile option "${name.text}"`;
+      report(
+        token,
+        name,
+        'unknownDirective',
+        suggestion ? `${message}. Did you mean ${suggestion}?` : message,
+      );
+      return;
+    }
+
+    const title = wrapper
+      ? `${name.text}=${value.text}`
+      : `#pragma compile(${name.text}, ${value.text})`;
+    if (!isValidValue(entry, value.text)) {
+      const label = wrapper ? name.text : `#pragma compile(${name.text})`;
+      const expected = describeValue(entry).replace(/`/g, '');
+      report(
+        token,
+        value,
+        'invalidDirectiveValue',
+        `Invalid value "${value.text}" for ${label}. Expected: ${expected}`,
+      );
+      return;
+    }
+
+    const key = wrapper ? entry.pragma : entry.name;
+    if (!key || !value.text || !WRAPPER_DIRECTIVES.some(({ pragma }) => pragma === key)) return;
+    const setting = settings.get(key) || {};
+    const normalized = normalizeValue(entry, value.text);
+    const other = wrapper ? setting.pragma : setting.wrapper;
+    if (other && other.normalized !== normalized) {
+      report(
+        token,
+        value,
+        'conflictingDirective',
+        `${title} conflicts with ${other.title} on line ${other.line + 1}`,
+      );
+    }
+    setting[kind] = { title, line: token.line, normalized };
+    settings.set(key, setting);
+  });
+
+  return diagnostics;
+};
+
+/**
+ * Checks the variable scopes, `#include` lines, function headers and directives of an AutoIt
+ * document and publishes the results
+ * @param {TextDocument} document The document to check
+ * @param {DiagnosticCollection} diagnosticCollection The collection to publish to
+ */
+const checkDocument = (document, diagnosticCollection) => {
+  if (document.languageId !== 'autoit') return;
+
+  let diagnostics = [];
+  if (config.enableDiagnostics) {
+    const includedTrees = getIncludedTrees(document);
+    diagnostics = [
+      ...getIncludeDiagnostics(document, includedTrees),
+      ...getMissingIncludeDiagnostics(document, includedTrees),
+      ...getScopeDiagnostics(document, includedTrees),
+      ...getHeaderDiagnostics(document),
+      ...getDirectiveDiagnostics(getSyntaxTree(document)),
+    ];
+  }
+  replaceDiagnostics(diagnosticCollection, document.uri, SOURCE, diagnostics);
+};
+
+/**
+ * Runs the built-in checks on open AutoIt documents as they are edited, on every platform
+ * @param {DiagnosticCollection} diagnosticCollection The `autoit` diagnostic collection
+ * @returns {Disposable[]} The event listeners, and the removal of the settings listener and of the
+ * pending checks
+ */
+export const registerDiagnostics = diagnosticCollection => {
+  const timers = new Map();
+  const cancel = document => {
+    clearTimeout(timers.get(document.uri.toString()));
+    timers.delete(document.uri.toString());
+  };
+
+  const checkAll = () =>
+    workspace.textDocuments.forEach(document => checkDocument(document, diagnosticCollection));
+  const listenerId = conf.addListener(checkAll);
+  checkAll();
+
+  return [
+    workspace.onDidOpenTextDocument(document => checkDocument(document, diagnosticCollection)),
+    workspace.onDidChangeTextDocument(({ document }) => {
+      if (document.languageId !== 'autoit') return;
+      cancel(document);
+      timers.set(
+        document.uri.toString(),
+        setTimeout(() => {
+          timers.delete(document.uri.toString());
+          checkDocument(document, diagnosticCollection);
+        }, ANALYZE_DELAY),
+      );
+    }),
+    workspace.onDidCloseTextDocument(cancel),
+    // settings changes and checks still waiting for their delay don't run after deactivation
+    new Disposable(() => {
+      conf.removeListener(listenerId);
+      timers.forEach(timer => clearTimeout(timer));
+      timers.clear();
+    }),
+  ];
+};
+
+export default registerDiagnostics;
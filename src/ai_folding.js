@@ -0,0 +1,108 @@
+import { languages, FoldingRange, FoldingRangeKind } from 'vscode';
+import { AUTOIT_MODE } from './util';
+import { getSyntaxTree, getStatements, TokenType } from './parser';
+
+/**
+ * Creates the folding ranges of the comment blocks and of runs of consecutive `;` comment lines,
+ * which include the function headers generated by Insert Function Header
+ * @param {Object} tree The syntax tree of the document
+ * @returns {FoldingRange[]} The comment folding ranges
+ */
+const getCommentRanges = tree => {
+  const ranges = [];
+  let runStart = -1;
+  let runEnd = -1;
+
+  const endRun = () => {
+    if (runStart !== -1 && runEnd > runStart)
+      ranges.push(new FoldingRange(runStart, runEnd, FoldingRangeKind.Comment));
+    runStart = -1;
+    runEnd = -1;
+  };
+
+  tree.tokens.forEach((token, index) => {
+    if (token.type === TokenType.BlockComment) {
+      endRun();
+      if (token.endLine > token.line) {
+        ranges.push(new FoldingRange(token.line, token.endLine, FoldingRangeKind.Comment));
+      }
+      return;
+    }
+    if (token.type !== TokenType.Comment) return;
+
+    const previous = tree.tokens[index - 1];
+    const isFullLine = !previous || previous.type === TokenType.NewLine;
+    if (!isFullLine) return;
+
+    if (runStart !== -1 && token.line === runEnd + 1) {
+      runEnd = token.line;
+    } else {
+      endRun();
+      runStart = token.line;
+      runEnd = token.line;
+    }
+  });
+  endRun();
+
+  return ranges;
+};
+
+/**
+ * Creates the folding ranges of functions, blocks, Case/Else branches
+ * and statements continued over several lines
+ * @param {Object} tree The syntax tree of the document
+ * @returns {FoldingRange[]} The code folding ranges
+ */
+const getCodeRanges = tree => {
+  const ranges = [];
+
+  getStatements(tree).forEach(statement => {
+    const { type, line, endLine } = statement;
+    switch (type) {
+      case 'Function':
+      case 'Block':
+        if (endLine > line) ranges.push(new FoldingRange(line, endLine));
+        if (type === 'Block') {
+          statement.branches.forEach(branch => {
+            if (branch.endLine > branch.line) {
+              ranges.push(new FoldingRange(branch.line, branch.endLine));
+            }
+          });
+        }
+        break;
+      case 'Branch':
+        break;
+      default: {
+        // ` _` continuations
+        const lastToken = statement.tokens[statement.tokens.length - 1];
+        if (lastToken.line > line) ranges.push(new FoldingRange(line, lastToken.line));
+      }
+    }
+  });
+
+  return ranges;
+};
+
+const AutoItFoldingRangeProvider = {
+  /**
+   * Provides the folding ranges of a document
+   * @param {TextDocument} document - The document to fold.
+   * @returns {FoldingRange[]} - The folding ranges.
+   */
+  provideFoldingRanges(document) {
+    const tree = getSyntaxTree(document);
+
+    const regionRanges = tree.regions
+      .filter(region => region.endLine > region.line)
+      .map(region => new FoldingRange(region.line, region.endLine, FoldingRangeKind.Region));
+
+    return [...regionRanges, ...getCodeRanges(tree), ...getCommentRanges(tree)];
+  },
+};
+
+const foldingProvider = languages.registerFoldingRangeProvider(
+  AUTOIT_MODE,
+  AutoItFoldingRangeProvider,
+);
+
+export default foldingProvider;
@@ -0,0 +1,371 @@
+import { languages, EndOfLine, Position, Range, TextEdit } from 'vscode';
+import { AUTOIT_MODE } from './util';
+import { getSyntaxTree, TokenType, isSymbol } from './parser';
+
+// tokens after which `+` and `-` are signs rather than operators
+const UNARY_CONTEXT = ['(', '[', ','];
+// tokens that can be followed by `[`, `(` or `.` without a space, as in `$a[0]` or `$o.Name()`
+const ACCESSIBLE_TYPES = [TokenType.Variable, TokenType.Macro, TokenType.Identifier];
+const BLOCK_CLOSERS = {
+  If: 'EndIf',
+  For: 'Next',
+  While: 'WEnd',
+  Do: 'Until',
+  Select: 'EndSelect',
+  Switch: 'EndSwitch',
+  With: 'EndWith',
+};
+
+/**
+ * Returns the indentation depth of each line starting a statement. Block bodies are indented one
+ * level deeper than their block, and so are the `Case` branches of Select and Switch.
+ * @param {Object} tree The Script node
+ * @returns {Map<number, {depth: number, opens: boolean}>} The depth of each statement line and
+ * whether the statement opens a body
+ */
+export const getLineDepths = tree => {
+  const depths = new Map();
+  const visit = (node, depth) => {
+    node.body.forEach(statement => {
+      const { type } = statement;
+      depths.set(statement.line, { depth, opens: ['Function', 'Block', 'Branch'].includes(type) });
+      if (type !== 'Function' && type !== 'Block') return;
+
+      visit(statement, depth + 1);
+      (statement.branches || []).forEach(branch => {
+        const branchDepth = branch.kind === 'Case' ? depth + 1 : depth;
+        depths.set(branch.line, { depth: branchDepth, opens: true });
+        visit(branch, branchDepth + 1);
+      });
+      if (statement.endStatement) {
+        depths.set(statement.endStatement.line, { depth, opens: false });
+      }
+    });
+  };
+  visit(tree, 0);
+  return depths;
+};
+
+/**
+ * Checks if a `+` or `-` is a sign, as in `-1` or `Return -$x`
+ * @param {Object} token The operator token
+ * @param {Object|undefined} previous The token before it on the same line
+ * @returns {boolean} `true` for a sign
+ */
+const isUnary = (token, previous) =>
+  (token.value === '-' || token.value === '+') &&
+  (!previous ||
+    previous.type === TokenType.Operator ||
+    previous.type === TokenType.Keyword ||
+    (previous.type === TokenType.Punctuation && UNARY_CONTEXT.includes(previous.value)));
+
+/**
+ * Decides the whitespace between two tokens of a line
+ * @param {Object} previous The token before
+ * @param {Object} token The token after
+ * @param {boolean} previousIsUnary Whether `previous` is a sign
+ * @param {string} text The script text, to keep the original spacing where it isn't normalized
+ * @returns {string} The whitespace
+ */
+const getSpacing = (previous, token, previousIsUnary, text) => {
+  // a directive ends where its comment starts, so its trailing whitespace is the comment spacing
+  const previousEnd =
+    previous.type === TokenType.Directive ? previous.start + previous.value.length : previous.end;
+  const original = text.slice(previousEnd, token.start);
+  if (previous.type === TokenType.Unknown || token.type === TokenType.Unknown) return original;
+  if (token.type === TokenType.Comment) return original || ' ';
+  if (token.type === TokenType.Continuation) return ' ';
+  if (previousIsUnary) return '';
+
+  if (isSymbol(token, ',')) return '';
+  if (isSymbol(previous, ',')) return ' ';
+  if (isSymbol(previous, '(') || isSymbol(previous, '[') || isSymbol(previous, '.')) return '';
+  if (isSymbol(token, ')') || isSymbol(token, ']')) return '';
+
+  const accessible =
+    ACCESSIBLE_TYPES.includes(previous.type) || isSymbol(previous, ')') || isSymbol(previous, ']');
+  if (isSymbol(token, '(')) {
+    return previous.type === TokenType.Keyword || previous.type === TokenType.Operator ? ' ' : '';
+  }
+  if (isSymbol(token, '[') || isSymbol(token, '.')) return accessible ? '' : ' ';
+  return ' ';
+};
+
+/**
+ * Joins the tokens of a line with normalized spacing: one space around operators and after
+ * commas, none inside brackets or between a function and its arguments
+ * @param {Object[]} tokens The tokens of the line
+ * @param {string} text The script text
+ * @returns {string} The code of the line without indentation
+ */
+const joinTokens = (tokens, text) => {
+  let result = '';
+  let previousIsUnary = false;
+  tokens.forEach((token, index) => {
+    const previous = tokens[index - 1];
+    if (previous) result += getSpacing(previous, token, previousIsUnary, text);
+    result += token.value;
+    previousIsUnary = token.type === TokenType.Operator && isUnary(token, previous);
+  });
+  return result;
+};
+
+/**
+ * Measures the indentation of a line in columns
+ * @param {string} line The line text
+ * @param {number} tabSize The width of a tab
+ * @returns {number} The width of the leading whitespace
+ */
+const getIndentWidth = (line, tabSize) => {
+  let width = 0;
+  for (const char of line.match(/^[\t ]*/)[0]) {
+    width += char === '\t' ? tabSize - (width % tabSize) : 1;
+  }
+  return width;
+};
+
+/**
+ * Computes the indentation of every line of a script the way Tidy does: statements are indented
+ * by their block depth and lines continued with ` _` keep their alignment relative to the first
+ * line of the statement, indented at least one level. Empty lines get the indentation code typed
+ * there would have. Comment blocks and the lines between `#Tidy_Off` and `#Tidy_On` are left
+ * untouched and have no indentation.
+ * @param {Object} tree The Script node
+ * @param {{tabSize: number, insertSpaces: boolean}} options The editor formatting options
+ * @returns {{lines: string[], lineTokens: Object[][], indents: Array<string|null>}} The lines
+ * without line breaks, the tokens of each line and the indentation of each line
+ */
+export const getLineIndents = (tree, { tabSize, insertSpaces }) => {
+  const { text, tokens } = tree;
+  const lines = text.split('\n').map(line => line.replace(/\r$/, ''));
+  const unit = insertSpaces ? ' '.repeat(tabSize) : '\t';
+  // whitespace of a width in columns, with tabs where possible unless spaces are inserted
+  const pad = columns =>
+    insertSpaces
+      ? ' '.repeat(columns)
+      : '\t'.repeat(Math.floor(columns / tabSize)) + ' '.repeat(columns % tabSize);
+
+  const lineTokens = lines.map(() => []);
+  const verbatim = new Set();
+  const keepLines = (from, to) => {
+    for (let line = from; line <= to; line++) verbatim.add(line);
+  };
+  let tidyOffLine = -1;
+  tokens.forEach(token => {
+    if (token.type === TokenType.NewLine) return;
+    lineTokens[token.line].push(token);
+    if (token.type === TokenType.BlockComment) keepLines(token.line, token.endLine);
+    if (token.type !== TokenType.Directive) return;
+
+    if (token.name === 'tidy_off' && tidyOffLine === -1) {
+      tidyOffLine = token.line;
+    } else if (token.name === 'tidy_on' && tidyOffLine !== -1) {
+      keepLines(tidyOffLine + 1, token.line - 1);
+      tidyOffLine = -1;
+    }
+  });
+  if (tidyOffLine !== -1) keepLines(tidyOffLine + 1, lines.length - 1);
+
+  const depths = getLineDepths(tree);
+  let bodyDepth = 0;
+  let statement = null; // the first line of a statement continued with ` _`
+
+  const indents = lines.map((line, index) => {
+    const current = lineTokens[index];
+    if (verbatim.has(index)) {
+      statement = null;
+      return null;
+    }
+    if (!current.length) {
+      let emptyIndent = unit.repeat(bodyDepth);
+      if (statement && statement.lastIndent === statement.indent) {
+        emptyIndent = statement.indent + pad(tabSize);
+      } else if (statement) {
+        emptyIndent = statement.lastIndent;
+      }
+      statement = null;
+      return emptyIndent;
+    }
+
+    let lineIndent;
+    if (statement) {
+      const offset = getIndentWidth(line, tabSize) - statement.originalWidth;
+      lineIndent = statement.indent + pad(Math.max(offset, tabSize));
+    } else if (depths.has(index)) {
+      const { depth, opens } = depths.get(index);
+      lineIndent = unit.repeat(depth);
+      bodyDepth = opens ? depth + 1 : depth;
+    } else {
+      lineIndent = unit.repeat(bodyDepth);
+    }
+
+    const code = current.filter(token => token.type !== TokenType.Comment);
+    const continued = code.length > 0 && code[code.length - 1].type === TokenType.Continuation;
+    if (!continued) {
+      statement = null;
+    } else if (statement) {
+      statement.lastIndent = lineIndent;
+    } else {
+      statement = {
+        indent: lineIndent,
+        lastIndent: lineIndent,
+        originalWidth: getIndentWidth(line, tabSize),
+      };
+    }
+    return lineIndent;
+  });
+
+  return { lines, lineTokens, indents };
+};
+
+/**
+ * Formats a script the way Tidy does: lines are re-indented with `getLineIndents` and operator
+ * and comma spacing is normalized
+ * @param {Object} tree The Script node
+ * @param {{tabSize: number, insertSpaces: boolean}} options The editor formatting options
+ * @returns {string[]} The formatted text of every line, without line breaks
+ */
+export const formatScript = (tree, options) => {
+  const { lines, lineTokens, indents } = getLineIndents(tree, options);
+  return lines.map((line, index) => {
+    if (indents[index] === null) return line;
+    if (!lineTokens[index].length) return '';
+    return indents[index] + joinTokens(lineTokens[index], tree.text);
+  });
+};
+
+/**
+ * Creates the edits replacing the lines of a range with their formatted text
+ * @param {TextDocument} document The document to format
+ * @param {FormattingOptions} options The editor formatting options
+ * @param {number} startLine The first line to format
+ * @param {number} endLine The last line to format
+ * @returns {TextEdit[]} The edits of the lines that changed
+ */
+const getFormattingEdits = (document, options, startLine, endLine) => {
+  const formatted = formatScript(getSyntaxTree(document), options);
+  const edits = [];
+  for (let line = startLine; line <= endLine && line < formatted.length; line++) {
+    const { text, range } = document.lineAt(line);
+    if (text !== formatted[line]) edits.push(TextEdit.replace(range, formatted[line]));
+  }
+  return edits;
+};
+
+const AutoItFormattingProvider = {
+  /**
+   * Formats the whole document
+   * @param {TextDocument} document - The document to format.
+   * @param {FormattingOptions} options - The tab size and indentation character to use.
+   * @returns {TextEdit[]} - The edits of the changed lines.
+   */
+  provideDocumentFormattingEdits(document, options) {
+    return getFormattingEdits(document, options, 0, document.lineCount - 1);
+  },
+
+  /**
+   * Formats the lines of a range, indenting them in the context of the whole document
+   * @param {TextDocument} document - The document to format.
+   * @param {Range} range - The range to format.
+   * @param {FormattingOptions} options - The tab size and indentation character to use.
+   * @returns {TextEdit[]} - The edits of the changed lines.
+   */
+  provideDocumentRangeFormattingEdits(document, range, options) {
+    const { start, end } = range;
+    const endLine = end.line > start.line && end.character === 0 ? end.line - 1 : end.line;
+    return getFormattingEdits(document, options, start.line, endLine);
+  },
+};
+
+/**
+ * Finds the statement closing the block opened on a line, if the block isn't closed yet
+ * @param {Object} tree The Script node
+ * @param {number} line The line that may open a block
+ * @returns {string|null} The closing statement, e.g. `EndFunc` or `#EndRegion`
+ */
+const getMissingCloser = (tree, line) => {
+  const endsOnLine = node => node.tokens[node.tokens.length - 1].line === line;
+
+  const fn = tree.functions.find(endsOnLine);
+  if (fn) return fn.closed ? null : 'EndFunc';
+  const block = tree.blocks.find(endsOnLine);
+  if (block) return block.closed ? null : BLOCK_CLOSERS[block.kind];
+  const region = tree.regions.find(node => node.line === line);
+  if (region) return region.closed ? null : '#EndRegion';
+  const comment = tree.tokens.find(
+    token => token.type === TokenType.BlockComment && token.line === line,
+  );
+  if (comment && !comment.closed) {
+    return /^#comments-start/i.test(comment.value) ? '#comments-end' : '#ce';
+  }
+  return null;
+};
+
+const AutoItOnTypeFormattingProvider = {
+  /**
+   * Fixes the indentation of the line just ended and of the new line when Enter is pressed,
+   * continuing ` _` lines with a hanging indent, and closes a block opened on the line just ended
+   * with its `EndFunc`, `EndIf`, `WEnd`, `Next`, `Until`, `EndSwitch`, `EndSelect`, `EndWith`,
+   * `#EndRegion` or `#ce`
+   * @param {TextDocument} document - The document being edited.
+   * @param {Position} position - The position of the cursor on the new line.
+   * @param {string} ch - The character typed.
+   * @param {FormattingOptions} options - The tab size and indentation character to use.
+   * @returns {TextEdit[]} - The edits of the indentation and the closing statement.
+   */
+  provideOnTypeFormattingEdits(document, position, ch, options) {
+    if (position.line === 0) return [];
+
+    const tree = getSyntaxTree(document);
+    const { indents } = getLineIndents(tree, options);
+    const previousLine = position.line - 1;
+    const edits = [];
+
+    const reindent = line => {
+      const { text } = document.lineAt(line);
+      const [whitespace] = text.match(/^[\t ]*/);
+      const indent = indents[line];
+      if (indent === null || indent === whitespace) return;
+      if (line !== position.line && !text.trim()) return;
+      edits.push(TextEdit.replace(new Range(line, 0, line, whitespace.length), indent));
+    };
+    reindent(previousLine);
+    reindent(position.line);
+
+    // formatting edits move the cursor past text inserted at it, so the closing statement goes
+    // on the next line, which is added when the cursor is on the last line of the document
+    const closer = getMissingCloser(tree, previousLine);
+    const { text } = document.lineAt(position.line);
+    if (!closer || text.slice(position.character).trim()) return edits;
+
+    const indent =
+      indents[previousLine] === null
+        ? document.lineAt(previousLine).text.match(/^[\t ]*/)[0]
+        : indents[previousLine];
+    const eol = document.eol === EndOfLine.CRLF ? '\r\n' : '\n';
+    if (position.line === document.lineCount - 1) {
+      edits.push(
+        TextEdit.insert(new Position(position.line, text.length), `${eol}${indent}${closer}`),
+      );
+    } else {
+      edits.push(TextEdit.insert(new Position(position.line + 1, 0), `${indent}${closer}${eol}`));
+    }
+    return edits;
+  },
+};
+
+const formattingProvider = languages.registerDocumentFormattingEditProvider(
+  AUTOIT_MODE,
+  AutoItFormattingProvider,
+);
+export const rangeFormattingProvider = languages.registerDocumentRangeFormattingEditProvider(
+  AUTOIT_MODE,
+  AutoItFormattingProvider,
+);
+export const onTypeFormattingProvider = languages.registerOnTypeFormattingEditProvider(
+  AUTOIT_MODE,
+  AutoItOnTypeFormattingProvider,
+  '\n',
+);
+
+export default formattingProvider;
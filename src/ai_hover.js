@@ -1,18 +1,44 @@
-import { languages, Hover } from 'vscode';
+import { languages, Hover, MarkdownString, Range } from 'vscode';
 import hovers from './hovers';
 import { AUTOIT_MODE } from './util';
+import { getSyntaxTree, getTokenAt, isInStringOrComment, TokenType } from './parser';
+import { getDirectiveParts, getDirectiveDocumentation } from './directives';
+
+/**
+ * Documents the `#AutoIt3Wrapper_*` directive or `#pragma compile` option under the cursor
+ * @param {TextDocument} document The document
+ * @param {Object} tree The syntax tree of the document
+ * @param {number} offset The offset of the cursor
+ * @returns {Hover|null} The hover, or null if the cursor isn't on a known directive name
+ */
+const getDirectiveHover = (document, tree, offset) => {
+  const token = getTokenAt(tree, offset);
+  const parts = token && token.type === TokenType.Directive && getDirectiveParts(token);
+  if (!parts || !parts.entry || offset < parts.name.start || offset > parts.name.end) return null;
+
+  return new Hover(
+    new MarkdownString(getDirectiveDocumentation(parts.entry, parts.kind === 'pragma')),
+    new Range(document.positionAt(parts.name.start), document.positionAt(parts.name.end)),
+  );
+};
 
 const hoverFeature = languages.registerHoverProvider(AUTOIT_MODE, {
   provideHover(document, position) {
+    const tree = getSyntaxTree(document);
+    const offset = document.offsetAt(position);
+    const directiveHover = getDirectiveHover(document, tree, offset);
+    if (directiveHover) return directiveHover;
+
     const wordRange = document.getWordRangeAtPosition(position);
 
     const word = wordRange ? document.getText(wordRange).toLowerCase() : '';
 
-    if (word in hovers) {
-      return new Hover(hovers[word]);
-    }
+    if (!(word in hovers)) return null;
+
+    // Keywords and functions mentioned in comments and strings are not code
+    if (isInStringOrComment(tree, offset)) return null;
 
-    return null;
+    return new Hover(hovers[word]);
   },
 });
 
@@ -0,0 +1,125 @@
+import {
+  languages,
+  EventEmitter,
+  InlayHint,
+  InlayHintKind,
+  MarkdownString,
+  Position,
+} from 'vscode';
+import { AUTOIT_MODE } from './util';
+import { getSyntaxTree, getCalls, TokenType, isKeyword } from './parser';
+import { getSignatures } from './ai_signature';
+import conf from './ai_config';
+
+const { config } = conf;
+
+const onDidChangeInlayHints = new EventEmitter();
+conf.addListener(() => onDidChangeInlayHints.fire());
+
+/**
+ * Splits the parameters of a signature into one entry per argument. Built-in signatures
+ * sometimes document two arguments as one parameter (`x, y`) or end with a repeated
+ * parameter (`value n`, `var1...var32`), which is flagged as variadic.
+ * @param {Object[]} params The parameters of the signature
+ * @returns {Array<{label: string, documentation: string, variadic: boolean}>} The parameters
+ */
+const expandParams = params =>
+  params.flatMap(({ label, documentation }) =>
+    label.split(/,\s*/).map(part => ({
+      label: part.replace(/^ByRef\s+/i, '').replace(/^["$]|"$/g, ''),
+      documentation,
+      variadic: /\.\.\.|\sn$/.test(part),
+    })),
+  );
+
+/**
+ * Checks if an argument is a literal: a number, with or without a sign, a string, or one of the
+ * keywords True, False, Default and Null
+ * @param {Object[]} tokens The tokens of the argument
+ * @returns {boolean} `true` for a literal
+ */
+const isLiteral = tokens => {
+  const [token, next] = tokens;
+  if (tokens.length === 2) {
+    return ['-', '+'].includes(token.value) && next.type === TokenType.Number;
+  }
+  return (
+    tokens.length === 1 &&
+    (token.type === TokenType.Number ||
+      token.type === TokenType.String ||
+      isKeyword(token, 'true', 'false', 'default', 'null'))
+  );
+};
+
+/**
+ * Checks if the hint of an argument is hidden by the settings, for variables and literals
+ * @param {Object} arg The argument of the Call node
+ * @returns {boolean} `true` if the hint should be hidden
+ */
+const isSkipped = arg => {
+  const [token] = arg.tokens;
+  if (config.parameterNameHintsSkipVariables && arg.tokens.length === 1) {
+    if (token.type === TokenType.Variable || token.type === TokenType.Macro) return true;
+  }
+  return !!config.parameterNameHintsSkipLiterals && isLiteral(arg.tokens);
+};
+
+const AutoItInlayHintsProvider = {
+  onDidChangeInlayHints: onDidChangeInlayHints.event,
+
+  /**
+   * Labels the arguments of function calls with the names of their parameters
+   * @param {TextDocument} document - The document to provide hints for.
+   * @param {Range} range - The visible range of the document.
+   * @returns {InlayHint[]} - The parameter name hints.
+   */
+  provideInlayHints(document, range) {
+    if (!config.parameterNameHints) return [];
+
+    const tree = getSyntaxTree(document);
+    const startOffset = document.offsetAt(range.start);
+    const endOffset = document.offsetAt(range.end);
+    const calls = getCalls(tree).filter(
+      call => !call.member && call.close && call.end >= startOffset && call.start <= endOffset,
+    );
+    if (!calls.length) return [];
+
+    const signatures = new Map();
+    Object.entries(getSignatures(document)).forEach(([name, signature]) =>
+      signatures.set(name.toLowerCase(), signature),
+    );
+
+    const hints = [];
+    calls.forEach(call => {
+      const signature = signatures.get(call.name.toLowerCase());
+      if (!signature || !signature.params) return;
+
+      const params = expandParams(Object.values(signature.params));
+      for (let i = 0; i < call.args.length && i < params.length; i++) {
+        const arg = call.args[i];
+        const param = params[i];
+        if (param.variadic) break;
+        if (!arg.tokens.length || !param.label || isSkipped(arg)) continue;
+
+        const [token] = arg.tokens;
+        const hint = new InlayHint(
+          new Position(token.line, token.character),
+          `${param.label}:`,
+          InlayHintKind.Parameter,
+        );
+        hint.paddingRight = true;
+        if (param.documentation) hint.tooltip = new MarkdownString(param.documentation);
+        hints.push(hint);
+      }
+    });
+
+    return hints;
+  },
+};
+
+const inlayHintsProvider = languages.registerInlayHintsProvider(
+  AUTOIT_MODE,
+  AutoItInlayHintsProvider,
+);
+
+export default inlayHintsProvider;
@@ -0,0 +1,187 @@
+import { languages, Location, Position, Range, Uri, workspace } from 'vscode';
+import { AUTOIT_MODE } from './util';
+import { getIncludedScripts } from './includeResolver';
+import {
+  getSyntaxTree,
+  getFileSyntaxTree,
+  getTokenAt,
+  getFunctionAt,
+  findDeclaration,
+  getGlobalDeclarations,
+  TokenType,
+  isSymbol,
+} from './parser';
+
+/**
+ * Finds the open document of a script
+ * @param {string} scriptPath The full path of the script
+ * @returns {TextDocument|undefined} The document, if the script is open in an editor
+ */
+const findOpenDocument = scriptPath =>
+  workspace.textDocuments.find(doc => doc.fileName.toLowerCase() === scriptPath.toLowerCase());
+
+/**
+ * Returns the syntax tree of a script, preferring the contents of its open editor over the file
+ * on disk
+ * @param {string} scriptPath The full path of the script
+ * @returns {{uri: Uri, tree: Object}|null} The script, or null if it can't be read
+ */
+export const getScriptTree = scriptPath => {
+  const openDocument = findOpenDocument(scriptPath);
+  const tree = openDocument ? getSyntaxTree(openDocument) : getFileSyntaxTree(scriptPath);
+  return tree && { uri: openDocument ? openDocument.uri : Uri.file(scriptPath), tree };
+};
+
+/**
+ * Returns the syntax trees of the scripts included by a document, preferring the contents of
+ * open editors over the file on disk
+ * @param {TextDocument} document The document whose includes to load
+ * @returns {Array<{uri: Uri, tree: Object}>} The included scripts
+ */
+export const getIncludedTrees = document => {
+  const getTree = scriptPath => {
+    const openDocument = findOpenDocument(scriptPath);
+    return openDocument ? getSyntaxTree(openDocument) : getFileSyntaxTree(scriptPath);
+  };
+
+  return getIncludedScripts(document.fileName, getSyntaxTree(document), getTree)
+    .map(getScriptTree)
+    .filter(Boolean);
+};
+
+/**
+ * Identifies the function or variable at a position in a document
+ * @param {TextDocument} document The document
+ * @param {Position} position The position of the symbol
+ * @returns {Object|null} The symbol with its `name`, `kind` ('function' or 'variable'), `token` and,
+ * for variables, the Function node it is local to (`function`, null for globals)
+ */
+export const getSymbolAt = (document, position) => {
+  const tree = getSyntaxTree(document);
+  const offset = document.offsetAt(position);
+  const token = getTokenAt(tree, offset);
+  if (!token) return null;
+
+  if (token.type === TokenType.Identifier) {
+    const index = tree.tokens.indexOf(token);
+    if (isSymbol(tree.tokens[index - 1], '.')) return null; // object member
+    return { name: token.value, kind: 'function', token, function: null };
+  }
+
+  if (token.type !== TokenType.Variable || token.value.length < 2) return null;
+
+  const fn = getFunctionAt(tree, offset);
+  const declaration = findDeclaration(tree, token.value, fn);
+  let isLocal = !!declaration && declaration.scope !== 'global';
+
+  if (!declaration && fn) {
+    // an undeclared variable in a Func is local unless a Global exists in the included scripts
+    const lowerName = token.value.toLowerCase();
+    isLocal = !getIncludedTrees(document).some(({ tree: includeTree }) =>
+      getGlobalDeclarations(includeTree).some(({ name }) => name.toLowerCase() === lowerName),
+    );
+  }
+
+  return {
+    name: token.value,
+    kind: 'variable',
+    token,
+    function: isLocal ? fn : null,
+    declaration,
+  };
+};
+
+/**
+ * Finds the tokens in a syntax tree that refer to a symbol
+ * @param {Object} tree The syntax tree to search
+ * @param {Object} symbol The symbol from `getSymbolAt`
+ * @param {boolean} isSameTree Whether `tree` is the tree the symbol was found in
+ * @returns {Array<{token: Object, isDeclaration: boolean}>} The matching tokens
+ */
+export const findReferencesInTree = (tree, symbol, isSameTree) => {
+  const lowerName = symbol.name.toLowerCase();
+  const references = [];
+
+  if (symbol.kind === 'function') {
+    const declarations = new Set(tree.functions.map(fn => fn.nameToken));
+    tree.tokens.forEach((token, index) => {
+      if (token.type !== TokenType.Identifier || token.value.toLowerCase() !== lowerName) return;
+      if (isSymbol(tree.tokens[index - 1], '.')) return;
+      references.push({ token, isDeclaration: declarations.has(token) });
+    });
+    return references;
+  }
+
+  // a local variable can't be referenced from other scripts
+  if (symbol.function && !isSameTree) return references;
+
+  const declarationTokens = new Set();
+  tree.declarations.forEach(statement =>
+    statement.declarators.forEach(({ token }) => declarationTokens.add(token)),
+  );
+  tree.functions.forEach(fn => fn.params.forEach(({ token }) => declarationTokens.add(token)));
+
+  tree.tokens.forEach(token => {
+    if (token.type !== TokenType.Variable || token.value.toLowerCase() !== lowerName) return;
+
+    const fn = getFunctionAt(tree, token.start);
+    if (symbol.function) {
+      if (fn !== symbol.function) return;
+    } else if (fn) {
+      // skip functions where a Local or parameter hides the Global
+      const declaration = findDeclaration(tree, token.value, fn);
+      if (declaration && declaration.scope !== 'global') return;
+    }
+    references.push({ token, isDeclaration: declarationTokens.has(token) });
+  });
+
+  return references;
+};
+
+/**
+ * Finds all references to a symbol in a document and the scripts it includes
+ * @param {TextDocument} document The document the symbol was found in
+ * @param {Object} symbol The symbol from `getSymbolAt`
+ * @returns {Array<{uri: Uri, token: Object, isDeclaration: boolean}>} The references
+ */
+export const findSymbolReferences = (document, symbol) => {
+  const scripts = [{ uri: document.uri, tree: getSyntaxTree(document) }];
+  if (!symbol.function) scripts.push(...getIncludedTrees(document));
+
+  return scripts.flatMap(({ uri, tree }, index) =>
+    findReferencesInTree(tree, symbol, index === 0).map(reference => ({ uri, ...reference })),
+  );
+};
+
+/**
+ * Converts a token into a Range
+ * @param {Object} token The token
+ * @returns {Range} The range of the token
+ */
+export const tokenToRange = token =>
+  new Range(
+    new Position(token.line, token.character),
+    new Position(token.line, token.character + token.end - token.start),
+  );
+
+const AutoItReferenceProvider = {
+  /**
+   * Finds all references to the function or variable at a position
+   * @param {TextDocument} document - The document the request was made in.
+   * @param {Position} position - The position of the symbol.
+   * @param {ReferenceContext} context - Whether to include the declaration.
+   * @returns {Location[]|null} - The locations of the references, or null if there's no symbol.
+   */
+  provideReferences(document, position, context) {
+    const symbol = getSymbolAt(document, position);
+    if (!symbol) return null;
+
+    return findSymbolReferences(document, symbol)
+      .filter(({ isDeclaration }) => context.includeDeclaration || !isDeclaration)
+      .map(({ uri, token }) => new Location(uri, tokenToRange(token)));
+  },
+};
+
+const referenceProvider = languages.registerReferenceProvider(AUTOIT_MODE, AutoItReferenceProvider);
+
+export default referenceProvider;
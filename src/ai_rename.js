@@ -0,0 +1,226 @@
+import { languages, Range, WorkspaceEdit } from 'vscode';
+import { basename } from 'path';
+import { AUTOIT_MODE } from './util';
+import { isStandardInclude } from './includeResolver';
+import completions from './completions';
+import defaultSigs from './signatures';
+import {
+  getSyntaxTree,
+  getCalls,
+  getCallbackToken,
+  getCallbackName,
+  getFunctionAt,
+  getGlobalNames,
+  KEYWORDS,
+  TokenType,
+} from './parser';
+import {
+  getSymbolAt,
+  getIncludedTrees,
+  getScriptTree,
+  findSymbolReferences,
+  findReferencesInTree,
+  tokenToRange,
+} from './ai_references';
+import { findIncludingScripts } from './ai_workspaceSymbols';
+
+const builtInNames = new Set([
+  ...completions.map(({ label }) => label.toLowerCase()),
+  ...Object.keys(defaultSigs).map(name => name.toLowerCase()),
+]);
+
+/**
+ * Finds the function names passed as strings to callback registering functions
+ * like `GUICtrlSetOnEvent($id, "MyFunc")`
+ * @param {Object} tree The syntax tree to search
+ * @param {string} name The function name
+ * @returns {Object[]} The string tokens naming the function
+ */
+const findCallbackTokens = (tree, name) => {
+  const lowerName = name.toLowerCase();
+  return getCalls(tree)
+    .map(getCallbackToken)
+    .filter(token => token && getCallbackName(token).toLowerCase() === lowerName);
+};
+
+/**
+ * Collects the references of the symbol at a position and checks that it can be renamed
+ * @param {TextDocument} document The document the rename was started in
+ * @param {Position} position The position of the symbol
+ * @returns {{symbol: Object, references: Object[]}} The symbol and its references
+ * @throws {Error} If the symbol can't be renamed, with the reason as message
+ */
+const getRenameTarget = (document, position) => {
+  const symbol = getSymbolAt(document, position);
+  if (!symbol) throw new Error('You cannot rename this element.');
+
+  const references = findSymbolReferences(document, symbol);
+  const declarations = references.filter(({ isDeclaration }) => isDeclaration);
+
+  if (references.some(({ uri }) => isStandardInclude(uri.fsPath))) {
+    throw new Error(`${symbol.name} is defined in the standard AutoIt Include folder.`);
+  }
+  if (builtInNames.has(symbol.name.toLowerCase()) && !declarations.length) {
+    throw new Error(`${symbol.name} is a built-in and can't be renamed.`);
+  }
+  if (symbol.kind === 'function' && !declarations.length) {
+    throw new Error(`No Func declaration found for ${symbol.name}.`);
+  }
+
+  return { symbol, references };
+};
+
+/**
+ * Checks a new name and adds the `$` prefix to variable names if it's missing
+ * @param {Object} symbol The symbol being renamed
+ * @param {string} newName The name entered by the user
+ * @returns {string} The name to use
+ * @throws {Error} If the name is not a valid AutoIt name
+ */
+const validateNewName = (symbol, newName) => {
+  if (symbol.kind === 'variable') {
+    const variableName = newName.startsWith('$') ? newName : `$${newName}`;
+    if (!/^\$\w+$/.test(variableName)) throw new Error(`${newName} is not a valid variable name.`);
+    return variableName;
+  }
+
+  if (!/^[A-Za-z_]\w*$/.test(newName) || KEYWORDS.has(newName.toLowerCase())) {
+    throw new Error(`${newName} is not a valid function name.`);
+  }
+  return newName;
+};
+
+/**
+ * Collects the scripts a rename can change: the document, the scripts it includes and, for Funcs
+ * and Globals, the scripts of the workspace that include it
+ * @param {TextDocument} document The document the rename was started in
+ * @param {Object} symbol The symbol being renamed
+ * @returns {Promise<Array<{uri: Uri, tree: Object}>>} The scripts, the document first
+ */
+const getRenameScripts = async (document, symbol) => {
+  const scripts = [{ uri: document.uri, tree: getSyntaxTree(document) }];
+  if (symbol.function) return scripts;
+
+  scripts.push(...getIncludedTrees(document));
+  if (document.isUntitled) return scripts;
+  const known = new Set(scripts.map(({ uri }) => uri.fsPath.toLowerCase()));
+  (await findIncludingScripts(document.fileName))
+    .filter(scriptPath => !known.has(scriptPath.toLowerCase()))
+    .map(getScriptTree)
+    .filter(Boolean)
+    .forEach(script => scripts.push(script));
+  return scripts;
+};
+
+/**
+ * Checks that a new name doesn't merge the renamed symbol with another one in the scripts the
+ * rename changes: another Func, a Global, or a variable of a Func that uses the symbol, which
+ * would capture it or be captured by it
+ * @param {TextDocument} document The document the rename was started in
+ * @param {Array<{uri: Uri, tree: Object}>} scripts The scripts the rename changes
+ * @param {Object} symbol The symbol being renamed
+ * @param {Array<{uri: Uri, token: Object}>} references The references of the symbol
+ * @param {string} name The new name
+ * @throws {Error} If the name is taken, with the symbol it is taken by as message
+ */
+const checkNameClash = (document, scripts, symbol, references, name) => {
+  const lowerName = name.toLowerCase();
+  if (lowerName === symbol.name.toLowerCase()) return;
+
+  const inScript = ({ uri }) =>
+    uri.toString() === document.uri.toString() ? '' : ` in ${basename(uri.fsPath)}`;
+
+  if (symbol.kind === 'function') {
+    const script = scripts.find(({ tree }) =>
+      tree.functions.some(fn => fn.name && fn.name.toLowerCase() === lowerName),
+    );
+    if (script) throw new Error(`A function named ${name} already exists${inScript(script)}.`);
+    if (builtInNames.has(lowerName)) throw new Error(`${name} is a built-in function.`);
+    return;
+  }
+
+  if (!symbol.function) {
+    const script = scripts.find(({ tree }) => getGlobalNames(tree).has(lowerName));
+    if (script) throw new Error(`A Global named ${name} already exists${inScript(script)}.`);
+  }
+
+  scripts.forEach(({ uri, tree }) => {
+    const functions = new Set(
+      references
+        .filter(reference => reference.uri.toString() === uri.toString())
+        .map(({ token }) => getFunctionAt(tree, token.start))
+        .filter(Boolean),
+    );
+    const used = tree.tokens.find(
+      token =>
+        token.type === TokenType.Variable &&
+        token.value.toLowerCase() === lowerName &&
+        functions.has(getFunctionAt(tree, token.start)),
+    );
+    if (used) {
+      const fn = getFunctionAt(tree, used.start);
+      throw new Error(`${name} is already used in ${fn.name}${inScript({ uri })}.`);
+    }
+  });
+};
+
+const AutoItRenameProvider = {
+  /**
+   * Checks that the symbol at a position can be renamed.
+   * @param {TextDocument} document - The document the rename was started in.
+   * @param {Position} position - The position of the symbol.
+   * @returns {{range: Range, placeholder: string}} - The range of the symbol and its current name.
+   */
+  prepareRename(document, position) {
+    const { symbol } = getRenameTarget(document, position);
+    return { range: tokenToRange(symbol.token), placeholder: symbol.name };
+  },
+
+  /**
+   * Renames a function with all its calls and callback names, or a variable within its scope.
+   * Funcs and Globals are also renamed in the scripts of the workspace that include the document.
+   * @param {TextDocument} document - The document the rename was started in.
+   * @param {Position} position - The position of the symbol.
+   * @param {string} newName - The new name of the symbol.
+   * @returns {Promise<WorkspaceEdit>} - The edits to the document and the scripts it includes or
+   * is included by.
+   */
+  async provideRenameEdits(document, position, newName) {
+    const { symbol, references } = getRenameTarget(document, position);
+    const name = validateNewName(symbol, newName);
+    const scripts = await getRenameScripts(document, symbol);
+    // getRenameTarget searched the document and its includes, not the scripts including it
+    const knownScripts = new Set(references.map(({ uri }) => uri.toString()));
+    scripts
+      .filter(({ uri }) => !knownScripts.has(uri.toString()))
+      .forEach(({ uri, tree }) => {
+        findReferencesInTree(tree, symbol, false).forEach(reference =>
+          references.push({ uri, ...reference }),
+        );
+      });
+    checkNameClash(document, scripts, symbol, references, name);
+    const edit = new WorkspaceEdit();
+
+    references.forEach(({ uri, token }) => edit.replace(uri, tokenToRange(token), name));
+
+    if (symbol.kind === 'function') {
+      scripts.forEach(({ uri, tree }) => {
+        findCallbackTokens(tree, symbol.name).forEach(token => {
+          // replace the text between the quotes
+          const range = tokenToRange(token);
+          edit.replace(
+            uri,
+            new Range(range.start.translate(0, 1), range.end.translate(0, -1)),
+            name,
+          );
+        });
+      });
+    }
+
+    return edit;
+  },
+};
+
+const renameProvider = languages.registerRenameProvider(AUTOIT_MODE, AutoItRenameProvider);
+
+export default renameProvider;
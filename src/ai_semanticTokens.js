@@ -0,0 +1,205 @@
+import { languages, SemanticTokensBuilder, SemanticTokensLegend } from 'vscode';
+import { AUTOIT_MODE } from './util';
+import { isStandardInclude } from './includeResolver';
+import completions from './completions';
+import MAIN_FUNCTIONS from './completions/mainFunctions';
+import defaultSigs from './signatures';
+import mainSignatures from './signatures/functions.json';
+import { getSyntaxTree, getDeclarations, findDeclaration, TokenType, isSymbol } from './parser';
+import { getIncludedTrees } from './ai_references';
+
+const tokenTypes = ['parameter', 'variable', 'enumMember', 'function', 'macro'];
+// `local`, `global` and `udf` are contributed in package.json
+const tokenModifiers = ['declaration', 'readonly', 'defaultLibrary', 'local', 'global', 'udf'];
+
+const legend = new SemanticTokensLegend(tokenTypes, tokenModifiers);
+
+const builtInFunctions = new Set([
+  ...MAIN_FUNCTIONS.map(({ label }) => label.toLowerCase()),
+  ...Object.keys(mainSignatures).map(name => name.toLowerCase()),
+]);
+
+const udfFunctions = new Set(
+  [
+    ...completions.filter(({ label }) => /^_\w+$/.test(label)).map(({ label }) => label),
+    ...Object.keys(defaultSigs),
+  ]
+    .map(name => name.toLowerCase())
+    .filter(name => !builtInFunctions.has(name)),
+);
+
+const libraryConstants = new Set(
+  completions.filter(({ label }) => label.startsWith('$')).map(({ label }) => label.toLowerCase()),
+);
+
+/**
+ * Converts modifier names into the bit set expected by the SemanticTokensBuilder
+ * @param {string[]} modifiers The modifier names from the legend
+ * @returns {number} The encoded modifiers
+ */
+const encodeModifiers = modifiers =>
+  modifiers.reduce((bits, modifier) => bits | (1 << tokenModifiers.indexOf(modifier)), 0);
+
+/**
+ * Collects the functions and Globals of the scripts included by a document
+ * @param {TextDocument} document The document
+ * @returns {{functions: Map<string, boolean>, globals: Map<string, Object>}} The function names and
+ * global declarations by lowercase name, flagged with whether they come from the standard library
+ */
+const getIncludedSymbols = document => {
+  const functions = new Map();
+  const globals = new Map();
+
+  getIncludedTrees(document).forEach(({ uri, tree }) => {
+    const isLibrary = isStandardInclude(uri.fsPath);
+    tree.functions.forEach(({ name }) => {
+      const key = name.toLowerCase();
+      if (name && !functions.has(key)) functions.set(key, isLibrary);
+    });
+    getDeclarations(tree).forEach(declaration => {
+      const key = declaration.name.toLowerCase();
+      if (declaration.scope === 'global' && !globals.has(key)) {
+        globals.set(key, { declaration, isLibrary });
+      }
+    });
+  });
+
+  return { functions, globals };
+};
+
+/**
+ * Returns the token type and modifiers of a declared variable
+ * @param {Object} declaration The declaration the variable refers to
+ * @param {boolean} isDeclaration Whether the token is the declaration itself
+ * @returns {{type: string, modifiers: string[]}} The semantic token
+ */
+const classifyDeclaration = (declaration, isDeclaration) => {
+  const modifiers = isDeclaration ? ['declaration'] : [];
+  if (declaration.isConst || declaration.isEnum) modifiers.push('readonly');
+
+  if (declaration.scope === 'param') return { type: 'parameter', modifiers };
+  if (declaration.isEnum) return { type: 'enumMember', modifiers };
+
+  modifiers.push(declaration.scope === 'global' ? 'global' : 'local');
+  return { type: 'variable', modifiers };
+};
+
+/**
+ * Returns the semantic token of a variable
+ * @param {Object} tree The syntax tree of the document
+ * @param {Object} token The variable token
+ * @param {Object|null} fn The Function node containing the token
+ * @param {Map<string, Object>} includedGlobals The Globals of the included scripts by name
+ * @returns {{type: string, modifiers: string[]}} The semantic token
+ */
+const classifyVariable = (tree, token, fn, includedGlobals) => {
+  const key = token.value.toLowerCase();
+  const declaration = findDeclaration(tree, token.value, fn);
+  if (declaration) return classifyDeclaration(declaration, declaration.token === token);
+
+  const included = includedGlobals.get(key);
+  if (included) {
+    const result = classifyDeclaration(included.declaration, false);
+    if (included.isLibrary) result.modifiers.push('defaultLibrary');
+    return result;
+  }
+
+  if (libraryConstants.has(key)) {
+    return { type: 'variable', modifiers: ['readonly', 'defaultLibrary', 'global'] };
+  }
+
+  // undeclared variables are local inside a Func and global outside
+  return { type: 'variable', modifiers: [fn ? 'local' : 'global'] };
+};
+
+/**
+ * Returns the semantic token of a function name
+ * @param {Object} tree The syntax tree of the document
+ * @param {number} index The index of the identifier token
+ * @param {Map<string, Object>} localFunctions The Function nodes of the document by name
+ * @param {Map<string, boolean>} includedFunctions The functions of the included scripts by name
+ * @returns {{type: string, modifiers: string[]}|null} The semantic token, or null if the
+ * identifier is not a function
+ */
+const classifyIdentifier = (tree, index, localFunctions, includedFunctions) => {
+  const token = tree.tokens[index];
+  if (isSymbol(tree.tokens[index - 1], '.')) return null; // object member
+
+  const key = token.value.toLowerCase();
+  const localFunction = localFunctions.get(key);
+  if (localFunction) {
+    const isDeclaration = localFunction.nameToken === token;
+    return { type: 'function', modifiers: isDeclaration ? ['declaration'] : [] };
+  }
+  if (includedFunctions.has(key)) {
+    return { type: 'function', modifiers: includedFunctions.get(key) ? ['udf'] : [] };
+  }
+  if (builtInFunctions.has(key)) return { type: 'function', modifiers: ['defaultLibrary'] };
+  if (udfFunctions.has(key)) return { type: 'function', modifiers: ['udf'] };
+  if (isSymbol(tree.tokens[index + 1], '(')) return { type: 'function', modifiers: [] };
+  return null;
+};
+
+const AutoItSemanticTokensProvider = {
+  /**
+   * Classifies the variables, functions and macros of a document
+   * @param {TextDocument} document - The document to classify.
+   * @returns {SemanticTokens} - The semantic tokens of the document.
+   */
+  provideDocumentSemanticTokens(document) {
+    const tree = getSyntaxTree(document);
+    const builder = new SemanticTokensBuilder(legend);
+    const { functions: includedFunctions, globals: includedGlobals } = getIncludedSymbols(document);
+
+    const localFunctions = new Map();
+    tree.functions.forEach(fn => {
+      if (fn.name) localFunctions.set(fn.name.toLowerCase(), fn);
+    });
+
+    const functions = tree.functions.filter(fn => fn.name);
+    let functionIndex = 0;
+
+    tree.tokens.forEach((token, index) => {
+      let result = null;
+      switch (token.type) {
+        case TokenType.Variable: {
+          if (token.value.length < 2) return;
+          // tokens are in document order, so the containing function only moves forward
+          while (functionIndex < functions.length && functions[functionIndex].end < token.start) {
+            functionIndex += 1;
+          }
+          const candidate = functions[functionIndex];
+          const fn = candidate && candidate.start <= token.start ? candidate : null;
+          result = classifyVariable(tree, token, fn, includedGlobals);
+          break;
+        }
+        case TokenType.Macro:
+          if (token.value.length > 1) result = { type: 'macro', modifiers: ['defaultLibrary'] };
+          break;
+        case TokenType.Identifier:
+          result = classifyIdentifier(tree, index, localFunctions, includedFunctions);
+          break;
+        default:
+      }
+      if (!result) return;
+
+      builder.push(
+        token.line,
+        token.character,
+        token.end - token.start,
+        tokenTypes.indexOf(result.type),
+        encodeModifiers(result.modifiers),
+      );
+    });
+
+    return builder.build();
+  },
+};
+
+const semanticTokensProvider = languages.registerDocumentSemanticTokensProvider(
+  AUTOIT_MODE,
+  AutoItSemanticTokensProvider,
+  legend,
+);
+
+export default semanticTokensProvider;
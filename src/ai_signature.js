@@ -6,82 +6,32 @@ import {
   MarkdownString,
   Hover,
 } from 'vscode';
-import {
-  includePattern,
-  findFilepath,
-  libraryIncludePattern,
-  getIncludeData,
-  AUTOIT_MODE,
-  buildFunctionSignature,
-  functionDefinitionRegex,
-} from './util';
+import { getIncludeData, AUTOIT_MODE, buildFunctionSignature } from './util';
 import defaultSigs from './signatures';
 import DEFAULT_UDFS from './constants';
+import { getSyntaxTree, getCallAt, isInStringOrComment, isComment, getTokenAt } from './parser';
 
 let currentIncludeFiles = [];
 let includes = {};
 
 /**
- * Reduces a partial line of code to the current Function for parsing
- * @param {string} code The line of code
+ * Finds the function call surrounding the position and the argument the position is in
+ * @param {TextDocument} doc The TextDocument object representing the AutoIt script
+ * @param {Position} pos The position of the cursor
+ * @returns {{func: ?string, commas: number}} The name of the called function and the index of the active argument
  */
-function getParsableCode(code) {
-  const reducedCode = code
-    .replace(/\w+\([^()]*\)/g, '')
-    .replace(/"[^"]*"/g, '')
-    .replace(/'[^']*'/g, '') // Remove double/single quote sets
-    .replace(/"[^"]*(?=$)/g, '') // Remove double quote and text at end of line
-    .replace(/'[^']*(?=$)/g, '') // Remove single quote and text at end of line
-    .replace(/\([^()]*\)/g, '') // Remove paren sets
-    .replace(/\({2,}/g, '('); // Reduce multiple open parens
-
-  return reducedCode;
-}
-
-/**
- * Parses the current function calling for SignatureHelp from a string of AutoIt code.
- * Gets the second-to-last part (right before the last open parenthesis)
- * and extracts the function name
- *
- * @param {string} code - The AutoIt code to parse.
- * @returns {?string} - The name of the current function, or null if it couldn't be parsed.
- */
-function getCurrentFunction(code) {
-  const functionCallParts = code.split('(');
-  if (functionCallParts.length <= 1) {
-    return null;
-  }
-
-  const functionCallPart = functionCallParts[functionCallParts.length - 2].match(/(.*)\b(\w+)/);
-  if (functionCallPart) {
-    return functionCallPart[2];
-  }
-
-  return null;
-}
-
-function countCommas(code) {
-  // Find the position of the closest/last open paren
-  const openParen = code.lastIndexOf('(');
-  // Count non-string commas in text following open paren
-  let commas = code.slice(openParen).match(/(?!\B["'][^"']*),(?![^"']*['"]\B)/g);
-  if (commas === null) {
-    commas = 0;
-  } else {
-    commas = commas.length;
-  }
-
-  return commas;
-}
-
 function getCallInfo(doc, pos) {
-  // Acquire the text up the point where the current cursor/paren/comma is at
-  const codeAtPosition = doc.lineAt(pos.line).text.substring(0, pos.character);
-  const cleanCode = getParsableCode(codeAtPosition);
+  const tree = getSyntaxTree(doc);
+  const offset = doc.offsetAt(pos);
+  const token = getTokenAt(tree, offset);
+  if (token && isComment(token) && offset > token.start) return { func: null, commas: 0 };
+
+  const callAt = getCallAt(tree, offset);
+  if (!callAt || callAt.call.member) return { func: null, commas: 0 };
 
   return {
-    func: getCurrentFunction(cleanCode),
-    commas: countCommas(cleanCode),
+    func: callAt.call.name,
+    commas: callAt.argumentIndex,
   };
 }
 
@@ -92,38 +42,6 @@ function arraysMatch(arr1, arr2) {
   return false;
 }
 
-/**
- * Retrieves the includes from the given text.
- *
- * @param {string} text - The text to search for includes.
- * @returns {string[]} An array of includes found in the text.
- */
-function getIncludesFromText(text) {
-  const includesCheck = [];
-  let pattern = includePattern.exec(text);
-  while (pattern) {
-    includesCheck.push(pattern[1]);
-    pattern = includePattern.exec(text);
-  }
-  return includesCheck;
-}
-
-/**
- * Retrieves the library includes from the given text.
- *
- * @param {string} text - The text to search for library includes.
- * @returns {RegExpMatchArray[]} An array of library includes found in the text.
- */
-function getLibraryIncludesFromText(text) {
-  const libraryIncludes = [];
-  let pattern = libraryIncludePattern.exec(text);
-  while (pattern) {
-    libraryIncludes.push(pattern);
-    pattern = libraryIncludePattern.exec(text);
-  }
-  return libraryIncludes;
-}
-
 /**
  * Retrieves the includes and library includes from the given document.
  * Determines whether includes should be re-parsed or not.
@@ -132,9 +50,9 @@ function getLibraryIncludesFromText(text) {
  * @returns {Object} An object containing the includes found in the document.
  */
 function getIncludedFunctionSignatures(doc) {
-  const text = doc.getText();
-  const includesCheck = getIncludesFromText(text);
-  const libraryIncludes = getLibraryIncludesFromText(text);
+  const tree = getSyntaxTree(doc);
+  const includesCheck = tree.includes.filter(include => !include.library).map(({ file }) => file);
+  const libraryIncludes = tree.includes.filter(include => include.library);
 
   if (!arraysMatch(includesCheck, currentIncludeFiles)) {
     includes = {};
@@ -145,14 +63,10 @@ function getIncludedFunctionSignatures(doc) {
     currentIncludeFiles = includesCheck;
   }
 
-  libraryIncludes.forEach(pattern => {
-    const filename = pattern[1].replace('.au3', '');
+  libraryIncludes.forEach(({ file }) => {
+    const filename = file.replace('.au3', '');
     if (DEFAULT_UDFS.indexOf(filename) === -1) {
-      const fullPath = findFilepath(pattern[1]);
-      if (fullPath) {
-        const newData = getIncludeData(fullPath, doc);
-        Object.assign(includes, newData);
-      }
+      Object.assign(includes, getIncludeData(file, doc, true));
     }
   });
 
@@ -165,19 +79,45 @@ function getIncludedFunctionSignatures(doc) {
  * @returns {Object} Object containing SignatureInformation objects
  */
 function getLocalFunctionSignatures(doc) {
-  const text = doc.getText();
+  const tree = getSyntaxTree(doc);
   const functions = {};
 
-  let functionMatch = functionDefinitionRegex.exec(text);
-  while (functionMatch) {
-    const functionData = buildFunctionSignature(functionMatch, text, doc.fileName);
+  tree.functions.forEach(functionNode => {
+    if (!functionNode.name) return;
+    const functionData = buildFunctionSignature(functionNode, tree, doc.fileName);
     functions[functionData.functionName] = functionData.functionObject;
-    functionMatch = functionDefinitionRegex.exec(text);
-  }
+  });
 
   return functions;
 }
 
+/**
+ * Returns the signatures of the built-in functions and UDFs together with those of the functions
+ * declared in the document and the scripts it includes
+ * @param {TextDocument} doc The TextDocument object representing the AutoIt script
+ * @returns {Object} Signature objects by function name, local functions taking precedence
+ */
+export function getSignatures(doc) {
+  return {
+    ...defaultSigs,
+    ...getIncludedFunctionSignatures(doc),
+    ...getLocalFunctionSignatures(doc),
+  };
+}
+
+/**
+ * Looks up the signature of a function, ignoring case as AutoIt does
+ * @param {Object} signatures Signature objects by function name
+ * @param {string} name The function name as written in the script
+ * @returns {Object|undefined} The signature
+ */
+const findSignature = (signatures, name) => {
+  if (Object.prototype.hasOwnProperty.call(signatures, name)) return signatures[name];
+  const lowerName = name.toLowerCase();
+  const key = Object.keys(signatures).find(candidate => candidate.toLowerCase() === lowerName);
+  return key && signatures[key];
+};
+
 /**
  * Creates a SignatureInformation object from a given signature.
  * @param {Object} foundSig - The signature to create the SignatureInformation object from.
@@ -209,6 +149,7 @@ export const signatureHoverProvider = languages.registerHoverProvider(AUTOIT_MOD
   provideHover(document, position) {
     const hoveredPosition = document.getWordRangeAtPosition(position);
     if (!hoveredPosition) return null;
+    if (isInStringOrComment(getSyntaxTree(document), document.offsetAt(position))) return null;
     const hoveredWord = document.getText(hoveredPosition);
 
     const allSignatures = {
@@ -216,13 +157,22 @@ export const signatureHoverProvider = languages.registerHoverProvider(AUTOIT_MOD
       ...getLocalFunctionSignatures(document),
     };
 
-    const matchedSignature = allSignatures[hoveredWord];
+    const matchedSignature = findSignature(allSignatures, hoveredWord);
 
     if (!matchedSignature || !matchedSignature.label) return null;
 
-    const documentationLines = matchedSignature.documentation.split('\r');
-    documentationLines[1] = `##### ${documentationLines[1]}`;
-    const hoverText = [...documentationLines, `\`\`\`\r${matchedSignature.label}\r\`\`\``];
+    // the parameters go between the description and the other sections of the documentation
+    const [description, ...sections] = matchedSignature.documentation.split('\n\n');
+    const params = Object.values(matchedSignature.params)
+      .filter(({ documentation }) => documentation)
+      .map(
+        ({ label, documentation }) => `- \`${label}\`: ${documentation.replace(/\n/g, '\n    ')}`,
+      );
+    if (params.length) sections.unshift(`**Parameters**\n\n${params.join('\n')}`);
+
+    const hoverText = new MarkdownString()
+      .appendCodeblock(matchedSignature.label, 'autoit')
+      .appendMarkdown([`##### ${description}`, ...sections].join('\n\n'));
 
     return new Hover(hoverText);
   },
@@ -241,13 +191,7 @@ export default languages.registerSignatureHelpProvider(
       const caller = getCallInfo(document, position);
       if (!caller.func) return null;
 
-      const allSignatures = {
-        ...defaultSigs,
-        ...getIncludedFunctionSignatures(document),
-        ...getLocalFunctionSignatures(document),
-      };
-
-      const matchedSignature = allSignatures[caller.func];
+      const matchedSignature = findSignature(getSignatures(document), caller.func);
       if (!matchedSignature) return null;
 
       const result = new SignatureHelp();
@@ -257,6 +201,6 @@ export default languages.registerSignatureHelpProvider(
       return result;
     },
   },
-  '(',
-  ',',
+  // closing a nested call moves the help back to the call around it
+  { triggerCharacters: ['(', ','], retriggerCharacters: [')'] },
 );
@@ -1,374 +1,243 @@
-import { languages, Location, SymbolInformation, SymbolKind, workspace, Range } from 'vscode';
-import {
-  AI_CONSTANTS,
-  AUTOIT_MODE,
-  isSkippableLine,
-  functionPattern,
-  variablePattern,
-  regionPattern,
-} from './util';
+import { languages, DocumentSymbol, SymbolKind, workspace, Range } from 'vscode';
+import { AI_CONSTANTS, AUTOIT_MODE } from './util';
+import { getSyntaxTree, getDeclarations, findDeclaration, TokenType, isKeyword } from './parser';
 
 const config = workspace.getConfiguration('autoit');
-const commentEndRegex = /^\s*#(?:ce|comments-end)/;
-const commentStartRegex = /^\s*#(?:cs|comments-start)/;
-const continuationRegex = /\s_\b\s*(;.*)?\s*/;
 
 /**
- * Creates a symbol information object for a variable.
- *
- * @param {Object} params - The input parameters.
- * @param {string} params.variable - The name of the variable.
- * @param {SymbolKind} params.variableKind - The kind of the variable symbol.
- * @param {TextDocument} params.doc - The document where the variable is defined.
- * @param {Range} params.line - The range of the line where the variable is defined.
- * @param {string} [params.container=null] - The name of the container where the variable is defined.
- * @returns {SymbolInformation} The symbol information object for the variable.
+ * Creates a Range between two offsets of a document
+ * @param {TextDocument} doc The document
+ * @param {number} start The start offset
+ * @param {number} end The end offset
+ * @returns {Range} The range
  */
-const createVariableSymbol = ({ variable, variableKind, doc, line, container = null }) => {
-  return new SymbolInformation(
-    variable,
-    variableKind,
-    container,
-    new Location(doc.uri, line.range),
-  );
-};
-
-/**
- * Generates a SymbolInformation object for a function from a given TextDocument
- * that includes the full range of the function's body
- * @param {String} functionName The name of the function from the AutoIt script
- * @param {TextDocument} document The current document to search
- * @param {Number} startingLineNumber The function's starting line number within the document
- * @returns {SymbolInformation} The generated SymbolInformation object
- */
-const generateFunctionSymbol = (functionName, document, text, startingLineNumber, scriptText) => {
-  const functionBodyPattern = new RegExp(
-    `[\t ]*(?:volatile[\t ]+)?Func[\t ]+\\b${functionName}+\\b.*?EndFunc`,
-    'si',
-  );
-
-  // Set the starting position for the regex search
-  const functionStartIndex = document.offsetAt(document.lineAt(startingLineNumber).range.start);
-  functionBodyPattern.lastIndex = functionStartIndex;
-  const matchResult = functionBodyPattern.exec(scriptText);
-  if (!matchResult) {
-    return null;
-  }
-  const functionEndIndex = matchResult.index + matchResult[0].length;
-  const functionStartPos = document.positionAt(matchResult.index);
-  const functionEndPos = document.positionAt(functionEndIndex);
-  const functionBodyRange = new Range(functionStartPos, functionEndPos);
-  const functionSymbol = new SymbolInformation(
-    functionName,
-    SymbolKind.Function,
-    '',
-    new Location(document.uri, functionBodyRange),
-  );
-
-  return functionSymbol;
-};
-
-/**
- * Find the end index of a region in a document.
- * @param {string} documentText - The text of the document.
- * @param {number} startIndex - The starting index of the region.
- * @returns {number} - The end index of the region.
- */
-const findRegionEndIndex = (documentText, startIndex) => {
-  const regionEndPattern = new RegExp(`#EndRegion\\s*$`);
-
-  let nestingLevel = 1;
-  let currentIndex = startIndex;
-  let endIndex = -1;
-  let lastEndIndex = startIndex;
-
-  while (currentIndex < documentText.length) {
-    const nextStartIndex = documentText.indexOf('#Region', currentIndex);
-    const nextEndIndex = documentText.indexOf('#EndRegion', currentIndex);
-
-    if (nextStartIndex !== -1 && (nextStartIndex < nextEndIndex || nextEndIndex === -1)) {
-      nestingLevel++;
-      currentIndex = nextStartIndex + '#Region'.length;
-    } else if (nextEndIndex !== -1) {
-      if (regionEndPattern.test(documentText.slice(nextEndIndex))) {
-        if (nestingLevel === 1) {
-          endIndex = nextEndIndex;
-          break;
-        }
-        nestingLevel--;
-      }
-      lastEndIndex = nextEndIndex;
-      currentIndex = nextEndIndex + '#EndRegion'.length;
-    } else {
-      break;
-    }
-  }
-
-  return endIndex === -1 ? lastEndIndex : endIndex;
-};
+const toRange = (doc, start, end) => new Range(doc.positionAt(start), doc.positionAt(end));
 
 /**
- * Generates a SymbolInformation object for a Region from a given TextDocument
- * that includes the full range of the region's body
- * @param {String} regionName The name of the region from the AutoIt script
- * @param {TextDocument} document The current document to search
- * @param {String} documentText The text from the document (usually generated through `TextDocument.getText()`)
- * @returns SymbolInformation
+ * Creates a DocumentSymbol whose selection range is a token within its range
+ * @param {Object} params - The input parameters.
+ * @param {TextDocument} params.doc - The document of the symbol.
+ * @param {string} params.name - The name of the symbol.
+ * @param {string} [params.detail=''] - Extra text shown next to the name.
+ * @param {SymbolKind} params.kind - The kind of the symbol.
+ * @param {{start: number, end: number}} params.node - The node spanning the whole symbol.
+ * @param {{start: number, end: number}} params.token - The token naming the symbol.
+ * @returns {DocumentSymbol} The document symbol.
  */
-const createRegionSymbol = (regionName, document, documentText) => {
-  const startMatch = new RegExp(
-    `#Region\\s[- ]{0,}(${regionName.replace(/[-/\\^$*+?.()|[\]{}]/g, '\\$&')})`,
-    's',
-  ).exec(documentText);
-  if (!startMatch) return null;
-
-  const startIndex = startMatch.index + startMatch[0].length;
-  const endIndex = findRegionEndIndex(documentText, startIndex);
-
-  const startPosition = document.positionAt(startMatch.index);
-  const endPosition = document.positionAt(endIndex + '#EndRegion'.length);
-  const regionSymbol = new SymbolInformation(
-    startMatch[1],
-    SymbolKind.Namespace,
-    '',
-    new Location(document.uri, new Range(startPosition, endPosition)),
+const createSymbol = ({ doc, name, detail = '', kind, node, token }) =>
+  new DocumentSymbol(
+    name,
+    detail,
+    kind,
+    toRange(doc, node.start, node.end),
+    toRange(doc, token.start, token.end),
   );
 
-  return regionSymbol;
-};
-
 /**
- * Extracts function symbols from a given text and adds them to a result array.
- *
- * @param {Object} params - An object containing the following properties:
- *   @param {string} params.text - The text to search for function symbols.
- *   @param {Set} params.processedSymbols - A set of already processed function symbols.
- *   @param {vscode.TextDocument} params.doc - The document object representing the text.
- *   @param {number} params.lineNum - The line number where the function symbol is located.
- *   @param {Array} params.result - An array to store the extracted function symbols.
- * @returns {void} None. The extracted function symbols are added to the `result` array provided in the `params` object.
+ * Determines the kind of variable based on its declaration.
+ * @param {Object|null} declaration - The declaration from the syntax tree.
+ * @returns {SymbolKind} The kind of variable determined by the function.
  */
-const parseFunctionFromText = params => {
-  const { text, processedSymbols, doc, lineNum, result, scriptText } = params;
-
-  const funcName = text.match(functionPattern);
-  if (!funcName || processedSymbols.has(funcName[1])) return;
-
-  const functionSymbol = generateFunctionSymbol(funcName[1], doc, text, lineNum, scriptText);
-  if (!functionSymbol) return;
-
-  result.push(functionSymbol);
-  processedSymbols.add(funcName[1]);
-};
+function getVariableKind(declaration) {
+  if (!declaration) return SymbolKind.Variable;
+  if (declaration.isEnum) return SymbolKind.EnumMember;
+  if (declaration.isConst) return SymbolKind.Constant;
+  return SymbolKind.Variable;
+}
 
 /**
- * Parses the region from the given text and adds it to the result array and found set.
- *
- * @param {Object} params - An object containing the parameters.
- * @param {Array} params.regionName - An array containing the matched region name from the text.
- * @param {Set} params.found - A set containing the already found region names.
- * @param {Object} params.doc - The document object.
- * @param {Array} params.result - An array to store the symbol information objects.
- * @returns {void} This function does not return anything.
+ * Describes a declaration for the detail of its symbol, e.g. `Local` or `Global Const = 5`
+ * @param {Object} declaration - The declaration from the syntax tree.
+ * @returns {string} The detail text.
  */
-const parseRegionFromText = params => {
-  if (!config.showRegionsInGoToSymbol) return;
-
-  const { regionName, found, doc, result } = params;
-  if (!regionName || found.has(regionName[0])) return;
-
-  const regionSymbol = createRegionSymbol(regionName[1], doc, doc.getText());
-  if (!regionSymbol) return;
-  result.push(regionSymbol);
-  found.add(regionName[0]);
-};
-
-const delims = ["'", '"', ';'];
+function getVariableDetail(declaration) {
+  const { node, statement } = declaration;
+  if (declaration.scope === 'param') {
+    const tags = [node.byRef && 'ByRef', node.isConst && 'Const', node.optional && 'Optional'];
+    return tags.filter(Boolean).join(' ') || 'Parameter';
+  }
 
-/**
- * Finds the variable container for a given line.
- * @param {Array} result - An array of symbols to search through.
- * @param {Object} line - The line to find the variable container for.
- * @returns {Object} The variable container or an empty object if not found.
- */
-function findContainerForVariable(result, line) {
-  return (
-    result.find(
-      symbolToTest =>
-        symbolToTest.location.range.contains(line.range) &&
-        symbolToTest.kind === SymbolKind.Function,
-    ) || {}
-  );
+  const keywords = [];
+  for (const token of statement.tokens) {
+    if (token.type !== TokenType.Keyword || isKeyword(token, 'step')) break;
+    keywords.push(token.value);
+  }
+  const keywordText = keywords.join(' ');
+  return node.init ? `${keywordText} = ${node.init.text}`.trim() : keywordText;
 }
 
 /**
- * Check whether a variable with the specified name and container is present in the given array of symbols.
- *
- * @param {Array} result - The array of symbols to search for the variable.
- * @param {string} variable - The name of the variable to search for.
- * @param {Object} container - The container object that the variable is expected to be found in.
- * @returns {boolean} `true` if the variable is found in the symbols array, `false` otherwise.
+ * Creates the symbol of a Func, spanning from `Func` to `EndFunc`
+ * @param {Object} functionNode The Function node from the syntax tree
+ * @param {TextDocument} document The current document
+ * @returns {DocumentSymbol} The function symbol
  */
-const isVariableInResults = (result, variable, container) => {
-  return !!result.find(
-    symbol => symbol.name === variable && symbol.containerName === container.name,
-  );
-};
-
-const variableRegex = /^\s*?(Local|Global)?\s*?(Const|Enum)/;
+const createFunctionSymbol = (functionNode, document) =>
+  createSymbol({
+    doc: document,
+    name: functionNode.name,
+    detail: `(${functionNode.paramsText})`,
+    kind: SymbolKind.Function,
+    node: functionNode,
+    token: functionNode.nameToken,
+  });
 
 /**
- * Determines the kind of variable based on the text and inContinuation flag.
- * @param {string} text - The text to be matched against the variableRegex.
- * @returns {SymbolKind} The kind of variable determined by the function.
+ * Creates the symbol of a Region, named after its `#Region` line
+ * @param {Object} region The Region node from the syntax tree
+ * @param {TextDocument} document The current document
+ * @returns {DocumentSymbol} The region symbol
  */
-function getVariableKind(text) {
-  const [, , kind] = text.match(variableRegex) || [];
-
-  switch (kind) {
-    case 'Const':
-      return SymbolKind.Constant;
-    case 'Enum':
-      return SymbolKind.Enum;
-    default:
-      return SymbolKind.Variable;
-  }
-}
+const createRegionSymbol = (region, document) =>
+  createSymbol({
+    doc: document,
+    name: region.name || '#Region',
+    kind: SymbolKind.Namespace,
+    node: region,
+    token: region.directive,
+  });
 
 /**
- * Determines whether a variable should be skipped or not based on certain conditions.
- *
- * @param {string} variable - The variable to check.
- * @returns {boolean} - A boolean value indicating whether the variable should be skipped or not.
- *
- * @example
- * const variable = 'someVariable';
- * const shouldSkip = shouldSkipVariable(variable);
- * console.log(shouldSkip); // true or false
+ * Adds the variable symbols of a script to their Func or to the container of their line.
+ * Declared variables are shown at their declaration, undeclared ones where they are first used,
+ * once per Func (or global scope). The members of an Enum are grouped under an Enum symbol.
+ * The variables of a Func without a name are left out until it has one.
+ * @param {Object} tree - The syntax tree of the document.
+ * @param {TextDocument} doc - The document the tree belongs to.
+ * @param {Map<Object, DocumentSymbol>} functionSymbols - The symbols of the Function nodes.
+ * @param {Function} getContainer - Returns the children array for a line outside Funcs.
  */
-function shouldSkipVariable(variable) {
-  return AI_CONSTANTS.includes(variable) || delims.includes(variable.charAt(0));
-}
-
-function addVariableToResults(result, variable, variableKind, doc, line, container) {
-  result.push(
-    createVariableSymbol({
-      variable,
-      variableKind,
+function addVariableSymbols(tree, doc, functionSymbols, getContainer) {
+  const found = new Set();
+  const enumSymbols = new Map();
+  const getChildren = (fn, line) => (fn ? functionSymbols.get(fn).children : getContainer(line));
+  const isNew = (fn, name) => {
+    const key = `${fn ? fn.start : ''}|${name.toLowerCase()}`;
+    if (found.has(key)) return false;
+    found.add(key);
+    return true;
+  };
+
+  getDeclarations(tree).forEach(declaration => {
+    const { function: fn, statement, node, token } = declaration;
+    const owner = declaration.scope === 'param' ? fn : statement.function;
+    // a Func without a name yet has no symbol to hold its variables
+    if (owner && !functionSymbols.has(owner)) return;
+    if (!isNew(owner, declaration.name)) return;
+
+    const symbol = createSymbol({
       doc,
-      line,
-      container: container.name,
-    }),
-  );
-}
-
-/**
- * Extracts variables from a given text and adds them to a result array.
- * Determines the kind of variable and checks if it already exists in the result array.
- * @param {object} params - An object containing the following properties:
- *   @param {string} params.text - The text to parse for variables.
- *   @param {array} params.result - An array to store the extracted variables.
- *   @param {number} params.line - The line number of the text.
- *   @param {Set} params.found - A set to keep track of already found variables.
- *   @param {string} params.doc - The documentation for the variables.
- *   @param {boolean} params.inContinuation - Indicates if the text is a continuation of a previous line.
- *   @param {string} params.variableKind - The kind of variable (e.g., local, global).
- * @returns {object} An object containing the following properties:
- *   @returns {boolean} inContinuation - Indicates if the text is a continuation of a previous line.
- *   @returns {string} variableKind - The kind of variable (e.g., local, global).
- *   @returns {array} params.result - The updated array of extracted variables.
- *   @returns {Set} params.found - The set of found variables.
- */
-function parseVariablesFromText(params) {
-  const { text, result, line, found, doc } = params;
-  let { inContinuation, variableKind } = params;
-
-  if (!config.showVariablesInGoToSymbol) return { inContinuation, variableKind };
-
-  const variables = text.match(variablePattern);
-  if (!variables) return { inContinuation, variableKind };
-
-  variableKind = inContinuation ? variableKind : getVariableKind(text);
-
-  inContinuation = continuationRegex.test(text);
-
-  for (let i = 0; i < variables.length; i += 1) {
-    const variable = variables[i];
-
-    if (shouldSkipVariable(variable)) {
-      continue;
+      name: declaration.name,
+      detail: getVariableDetail(declaration),
+      kind: getVariableKind(declaration),
+      node: node.init ? { start: token.start, end: node.init.end } : token,
+      token,
+    });
+
+    if (!declaration.isEnum) {
+      getChildren(owner, token.line).push(symbol);
+      return;
     }
 
-    const container = findContainerForVariable(result, line);
-
-    if (isVariableInResults(result, variable, container)) {
-      continue;
+    if (!enumSymbols.has(statement)) {
+      const enumSymbol = createSymbol({
+        doc,
+        name: 'Enum',
+        kind: SymbolKind.Enum,
+        node: statement,
+        token: statement.tokens.find(keyword => isKeyword(keyword, 'enum')),
+      });
+      enumSymbols.set(statement, enumSymbol);
+      getChildren(owner, statement.line).push(enumSymbol);
     }
-
-    addVariableToResults(result, variable, variableKind, doc, line, container);
-    found.add(variable);
+    enumSymbols.get(statement).children.push(symbol);
+  });
+
+  const { functions } = tree;
+  let functionIndex = 0;
+  for (const token of tree.tokens) {
+    if (token.type !== TokenType.Variable || token.value.length < 2) continue;
+    if (AI_CONSTANTS.includes(token.value)) continue;
+
+    // tokens are in document order, so the containing function only moves forward
+    while (functionIndex < functions.length && functions[functionIndex].end < token.start) {
+      functionIndex += 1;
+    }
+    const candidate = functions[functionIndex];
+    const fn = candidate && candidate.start <= token.start ? candidate : null;
+    if (fn && !functionSymbols.has(fn)) continue;
+
+    if (findDeclaration(tree, token.value, fn) || !isNew(fn, token.value)) continue;
+    getChildren(fn, token.line).push(
+      createSymbol({ doc, name: token.value, kind: SymbolKind.Variable, node: token, token }),
+    );
   }
-
-  return { inContinuation, variableKind };
 }
 
+/**
+ * Sorts nested symbols by their position in the document
+ * @param {DocumentSymbol[]} symbols The symbols to sort in place
+ * @returns {DocumentSymbol[]} The sorted symbols
+ */
+const sortSymbols = symbols => {
+  symbols.sort((a, b) => a.range.start.compareTo(b.range.start));
+  symbols.forEach(symbol => sortSymbols(symbol.children));
+  return symbols;
+};
+
 /**
  * Provides the document symbols for a given document.
- * It parses the text of the document line by line and extracts information about functions, variables, and regions.
- * Returns an array of symbol information objects.
+ * Regions contain the symbols within them, Funcs contain their parameters and Locals, and
+ * Enum statements their members, so the outline and breadcrumbs follow the structure of the script.
  *
  * @param {Document} doc - The document for which to provide symbols.
- * @returns {Array} An array of symbol information objects, each containing the name, kind, and range of a symbol in the document.
+ * @returns {DocumentSymbol[]} The top level symbols of the document.
  */
 function provideDocumentSymbols(doc) {
+  const tree = getSyntaxTree(doc);
   const result = [];
-  const processedSymbols = new Set();
-  let inComment = false;
-  let inContinuation = false;
-  let variableKind;
-  const scriptText = doc.getText();
-
-  const lineCount = Math.min(doc.lineCount, 10000);
-  for (let lineNum = 0; lineNum < lineCount; lineNum += 1) {
-    const line = doc.lineAt(lineNum);
-    const lineText = line.text;
-    const regionName = lineText.match(regionPattern);
-
-    if (!isSkippableLine(line) || regionName) {
-      if (!inComment) {
-        parseFunctionFromText({
-          text: lineText,
-          processedSymbols,
-          doc,
-          lineNum,
-          result,
-          scriptText,
-        });
-
-        ({ inContinuation, variableKind } = parseVariablesFromText({
-          inContinuation,
-          text: lineText,
-          found: processedSymbols,
-          doc,
-          result,
-          line,
-          variableKind,
-        }));
 
-        parseRegionFromText({ regionName, found: processedSymbols, doc, result });
-      }
-    }
-
-    if (commentEndRegex.test(lineText)) {
-      inComment = false;
-    }
-
-    if (commentStartRegex.test(lineText)) {
-      inComment = true;
-    }
+  const regions = config.showRegionsInGoToSymbol ? tree.regions : [];
+  const regionSymbols = new Map();
+  regions.forEach(region => regionSymbols.set(region, createRegionSymbol(region, doc)));
+
+  // regions are in document order, so the last one containing the line is the innermost
+  const getContainer = line => {
+    const region = regions.filter(({ line: start, endLine }) => start <= line && line <= endLine);
+    return region.length ? regionSymbols.get(region[region.length - 1]).children : result;
+  };
+
+  regions.forEach(region => {
+    const container = region.parent ? regionSymbols.get(region.parent).children : result;
+    container.push(regionSymbols.get(region));
+  });
+
+  tree.includes.forEach(include => {
+    getContainer(include.line).push(
+      createSymbol({
+        doc,
+        name: include.argument || '#include',
+        detail: '#include',
+        kind: SymbolKind.Module,
+        node: include,
+        token: include,
+      }),
+    );
+  });
+
+  const functionSymbols = new Map();
+  tree.functions.forEach(functionNode => {
+    if (!functionNode.name) return;
+    const symbol = createFunctionSymbol(functionNode, doc);
+    functionSymbols.set(functionNode, symbol);
+    getContainer(functionNode.line).push(symbol);
+  });
+
+  if (config.showVariablesInGoToSymbol) {
+    addVariableSymbols(tree, doc, functionSymbols, getContainer);
   }
 
-  return result;
+  return sortSymbols(result);
 }
 
 export default languages.registerDocumentSymbolProvider(AUTOIT_MODE, { provideDocumentSymbols });
@@ -1,42 +1,347 @@
-import { languages, workspace, window } from 'vscode';
-import { provideDocumentSymbols } from './ai_symbols';
+import { languages, workspace, Location, Range, SymbolInformation, SymbolKind, Uri } from 'vscode';
+import fs from 'fs';
+import path from 'path';
+import { parse, getSyntaxTree, getGlobalDeclarations, lineAtOffset } from './parser';
+import { resolveInclude } from './includeResolver';
+import conf from './ai_config';
 
-let symbolsCache = [];
+const { config } = conf;
 
-async function getWorkspaceSymbols() {
-  const workspaceScripts = await workspace.findFiles('**/*.{au3,a3x}');
+const STORAGE_KEY = 'workspaceSymbolIndex';
+// bump when the stored format changes so old indexes are rebuilt
+const INDEX_VERSION = 2;
+const SCRIPT_GLOB = '**/*.au3';
+const MAX_RESULTS = 500;
+const SAVE_DELAY = 1000;
 
-  const scriptPromises = workspaceScripts.map(async file => {
-    const thisDocument = await workspace.openTextDocument(file);
-    return provideDocumentSymbols(thisDocument);
+// the indexed scripts by full path: {mtime, size, library, symbols, includes}
+let index = new Map();
+let storage = null;
+let scan = null;
+let saveTimer = null;
+
+/**
+ * Saves the index to the workspace storage once the updates settle
+ */
+const scheduleSave = () => {
+  if (!storage) return;
+  clearTimeout(saveTimer);
+  saveTimer = setTimeout(() => {
+    storage.update(STORAGE_KEY, { version: INDEX_VERSION, files: [...index] });
+  }, SAVE_DELAY);
+};
+
+/**
+ * Collects the symbols a script contributes to workspace search: its Funcs, Globals and Regions.
+ * Ranges are stored as `[startLine, startCharacter, endLine, endCharacter]`.
+ * @param {Object} tree The Script node
+ * @returns {Array<{name: string, kind: SymbolKind, range: number[]}>} The symbols
+ */
+const getScriptSymbols = tree => {
+  const toRange = (start, end) => {
+    const startLine = lineAtOffset(tree.lineStarts, start);
+    const endLine = lineAtOffset(tree.lineStarts, end);
+    return [startLine, start - tree.lineStarts[startLine], endLine, end - tree.lineStarts[endLine]];
+  };
+  const getKind = ({ isEnum, isConst }) => {
+    if (isEnum) return SymbolKind.EnumMember;
+    return isConst ? SymbolKind.Constant : SymbolKind.Variable;
+  };
+
+  return [
+    ...tree.functions
+      .filter(fn => fn.name)
+      .map(fn => ({ name: fn.name, kind: SymbolKind.Function, range: toRange(fn.start, fn.end) })),
+    ...getGlobalDeclarations(tree).map(declaration => ({
+      name: declaration.name,
+      kind: getKind(declaration),
+      range: toRange(declaration.token.start, declaration.token.end),
+    })),
+    ...tree.regions
+      .filter(region => region.name)
+      .map(region => ({
+        name: region.name,
+        kind: SymbolKind.Namespace,
+        range: toRange(region.start, region.end),
+      })),
+  ];
+};
+
+/**
+ * Lists the `#include` lines of a script as `[file, library]` pairs
+ * @param {Object} tree The Script node
+ * @returns {Array<Array>} The included file names and whether they are `#include <file>`
+ */
+const getScriptIncludes = tree =>
+  tree.includes.filter(({ file }) => file).map(({ file, library }) => [file, library]);
+
+/**
+ * Indexes a script, parsing it only if it changed since it was last indexed
+ * @param {string} filePath The full path of the script
+ * @param {boolean} library Whether the script is in one of the `autoit.includePaths` folders
+ */
+const indexScript = async (filePath, library) => {
+  try {
+    const stats = await fs.promises.stat(filePath);
+    const entry = index.get(filePath);
+    if (entry && entry.mtime === stats.mtimeMs && entry.size === stats.size) {
+      entry.library = library;
+      return;
+    }
+
+    const tree = parse((await fs.promises.readFile(filePath)).toString());
+    index.set(filePath, {
+      mtime: stats.mtimeMs,
+      size: stats.size,
+      library,
+      symbols: getScriptSymbols(tree),
+      includes: getScriptIncludes(tree),
+    });
+  } catch (error) {
+    index.delete(filePath);
+  }
+  scheduleSave();
+};
+
+/**
+ * Lists the scripts in the `autoit.includePaths` folders
+ * @returns {Promise<string[]>} The full paths of the scripts
+ */
+const getLibraryScripts = async () => {
+  const folders = config.includePaths.filter(Boolean);
+  const listings = await Promise.all(
+    folders.map(folder =>
+      fs.promises
+        .readdir(folder)
+        .then(files => files.filter(file => /\.au3$/i.test(file)))
+        .then(files => files.map(file => path.join(folder, file)))
+        .catch(() => []),
+    ),
+  );
+  return listings.flat();
+};
+
+/**
+ * Brings the index up to date with the scripts of the workspace, and of the library folders if
+ * `autoit.workspaceSymbolsIncludePaths` is on. Unchanged scripts are not parsed again.
+ */
+const scanScripts = async () => {
+  const scripts = new Map();
+  if (config.workspaceSymbolsIncludePaths) {
+    (await getLibraryScripts()).forEach(filePath => scripts.set(filePath, true));
+  }
+  (await workspace.findFiles(SCRIPT_GLOB)).forEach(uri => scripts.set(uri.fsPath, false));
+
+  [...index.keys()].forEach(filePath => {
+    if (!scripts.has(filePath)) index.delete(filePath);
   });
+  for (const [filePath, library] of scripts) {
+    // one at a time, so a large workspace doesn't hold every file in memory at once
+    // eslint-disable-next-line no-await-in-loop
+    await indexScript(filePath, library);
+  }
+  scheduleSave();
+};
 
+/**
+ * Starts the scan of the workspace if it isn't running or done, and waits for it
+ * @returns {Promise<boolean>} `true` if the index is up to date
+ */
+const waitForScan = async () => {
+  if (!scan) scan = scanScripts();
   try {
-    const symbols = await Promise.all(scriptPromises);
-    return symbols.flat();
+    await scan;
+    return true;
   } catch (error) {
-    window.showErrorMessage(error);
-    return null;
+    // a scan that failed, e.g. on a file that couldn't be read, is started again next time
+    scan = null;
+    return false;
   }
-}
+};
 
-async function provideWorkspaceSymbols() {
-  if (symbolsCache.length === 0) {
-    symbolsCache = await getWorkspaceSymbols();
+/**
+ * Checks if a query character matches the start of a word in a name, as in `_ArrayDisplay`
+ * @param {string} name The symbol name
+ * @param {number} position The index of the matched character
+ * @returns {boolean} `true` for the first character, or one after `_`/`$` or a lowercase letter
+ */
+const isWordStart = (name, position) => {
+  if (position === 0) return true;
+  const previous = name.charAt(position - 1);
+  const char = name.charAt(position);
+  return previous === '_' || previous === '$' || (/[a-z]/.test(previous) && /[A-Z]/.test(char));
+};
+
+/**
+ * Scores how well a name matches a query. Exact and prefix matches rank first, then substrings,
+ * then names containing the query characters in order, preferring consecutive characters and
+ * the starts of words. Variables also match a query typed without their `$`.
+ * @param {string} query The lowercase query
+ * @param {string} name The symbol name
+ * @returns {number} The score, or 0 if the name doesn't match
+ */
+const scoreMatch = (query, name) => {
+  if (!query) return 1;
+  const target = !query.startsWith('$') && name.startsWith('$') ? name.slice(1) : name;
+  const lowerTarget = target.toLowerCase();
+
+  if (lowerTarget === query) return 1000;
+  if (lowerTarget.startsWith(query)) return 900 - lowerTarget.length;
+  const substring = lowerTarget.indexOf(query);
+  if (substring !== -1) return (isWordStart(target, substring) ? 700 : 600) - lowerTarget.length;
+
+  let score = 0;
+  let position = -1;
+  let streak = 0;
+  for (const char of query) {
+    const next = lowerTarget.indexOf(char, position + 1);
+    if (next === -1) return 0;
+    streak = next === position + 1 ? streak + 1 : 0;
+    score += 1 + streak * 5 + (isWordStart(target, next) ? 10 : 0);
+    position = next;
   }
-  return symbolsCache;
+  return Math.min(score, 500) - lowerTarget.length / 100;
+};
+
+/**
+ * Checks if a symbol kind is shown according to the Go To Symbol settings
+ * @param {SymbolKind} kind The symbol kind
+ * @returns {boolean} `true` if the symbol is shown
+ */
+const isShown = kind => {
+  if (kind === SymbolKind.Function) return true;
+  if (kind === SymbolKind.Namespace) return config.showRegionsInGoToSymbol;
+  return config.showVariablesInGoToSymbol;
+};
+
+/**
+ * Searches the index for symbols matching a query. Open scripts with unsaved changes are
+ * searched as they are in the editor.
+ * @param {string} query The text typed in the search box.
+ * @param {CancellationToken} token Cancels the search.
+ * @returns {Promise<SymbolInformation[]>} The best matches, best first.
+ */
+async function provideWorkspaceSymbols(query, token) {
+  if (!(await waitForScan()) || (token && token.isCancellationRequested)) return [];
+
+  const scripts = new Map([...index].map(([filePath, { symbols }]) => [filePath, symbols]));
+  workspace.textDocuments
+    .filter(document => document.isDirty && scripts.has(document.uri.fsPath))
+    .forEach(document => {
+      scripts.set(document.uri.fsPath, getScriptSymbols(getSyntaxTree(document)));
+    });
+
+  const lowerQuery = query.trim().toLowerCase();
+  const matches = [];
+  scripts.forEach((symbols, filePath) => {
+    symbols.forEach(symbol => {
+      if (!isShown(symbol.kind)) return;
+      const score = scoreMatch(lowerQuery, symbol.name);
+      if (score > 0) matches.push({ score, filePath, symbol });
+    });
+  });
+
+  matches.sort((a, b) => b.score - a.score || a.symbol.name.localeCompare(b.symbol.name));
+  return matches
+    .slice(0, MAX_RESULTS)
+    .map(
+      ({ filePath, symbol }) =>
+        new SymbolInformation(
+          symbol.name,
+          symbol.kind,
+          '',
+          new Location(Uri.file(filePath), new Range(...symbol.range)),
+        ),
+    );
 }
 
-const watcher = workspace.createFileSystemWatcher('**/*.{au3,a3x}');
-watcher.onDidChange(() => {
-  symbolsCache = [];
-});
-watcher.onDidCreate(() => {
-  symbolsCache = [];
-});
-watcher.onDidDelete(() => {
-  symbolsCache = [];
-});
+/**
+ * Checks if a script includes one of a set of scripts
+ * @param {string} scriptPath The full path of the script
+ * @param {Array<Array>} scriptIncludes The `[file, library]` pairs of its `#include` lines
+ * @param {Map<string, string[]>} targets The lowercase full paths of the included scripts, by
+ * lowercase file name
+ * @returns {boolean} `true` if one of its includes resolves to one of the scripts
+ */
+const includesScript = (scriptPath, scriptIncludes, targets) =>
+  scriptIncludes.some(([file, library]) => {
+    const paths = targets.get(path.basename(file.replace(/\\/g, '/')).toLowerCase());
+    const includePath = paths && resolveInclude(file, library, scriptPath);
+    return !!includePath && paths.includes(includePath.toLowerCase());
+  });
+
+/**
+ * Finds the scripts of the workspace that include a script, directly or through other scripts.
+ * Open scripts with unsaved changes are checked as they are in the editor.
+ * @param {string} filePath The full path of the included script
+ * @returns {Promise<string[]>} The full paths of the including scripts
+ */
+export const findIncludingScripts = async filePath => {
+  if (!(await waitForScan())) return [];
+
+  const includes = new Map([...index].map(([scriptPath, entry]) => [scriptPath, entry.includes]));
+  workspace.textDocuments
+    .filter(document => document.isDirty && includes.has(document.uri.fsPath))
+    .forEach(document => {
+      includes.set(document.uri.fsPath, getScriptIncludes(getSyntaxTree(document)));
+    });
+
+  // the included scripts by lowercase file name, so only includes naming one of them are resolved
+  const targets = new Map([[path.basename(filePath).toLowerCase(), [filePath.toLowerCase()]]]);
+  const found = new Set([filePath.toLowerCase()]);
+  const including = [];
+  let added = true;
+  while (added) {
+    added = false;
+    for (const [scriptPath, scriptIncludes] of includes) {
+      if (
+        !found.has(scriptPath.toLowerCase()) &&
+        includesScript(scriptPath, scriptIncludes, targets)
+      ) {
+        const key = path.basename(scriptPath).toLowerCase();
+        targets.set(key, [...(targets.get(key) || []), scriptPath.toLowerCase()]);
+        found.add(scriptPath.toLowerCase());
+        including.push(scriptPath);
+        added = true;
+      }
+    }
+  }
+  return including;
+};
+
+/**
+ * Loads the workspace symbol index from the workspace storage and keeps it up to date as scripts
+ * are created, changed and deleted
+ * @param {Memento} workspaceState The workspace storage of the extension
+ * @returns {Disposable[]} The file watcher and its listeners
+ */
+export const registerWorkspaceSymbolIndex = workspaceState => {
+  storage = workspaceState;
+  const stored = storage.get(STORAGE_KEY);
+  if (stored && stored.version === INDEX_VERSION) index = new Map(stored.files);
+
+  // rescan on the next search, e.g. when library folders were added
+  conf.addListener(() => {
+    scan = null;
+  });
+
+  const update = uri => {
+    if (!scan) return;
+    const entry = index.get(uri.fsPath);
+    scan = scan.then(() => indexScript(uri.fsPath, !!entry && entry.library));
+  };
+
+  const watcher = workspace.createFileSystemWatcher(SCRIPT_GLOB);
+  return [
+    watcher,
+    watcher.onDidChange(update),
+    watcher.onDidCreate(update),
+    watcher.onDidDelete(uri => {
+      index.delete(uri.fsPath);
+      scheduleSave();
+    }),
+  ];
+};
 
 const workspaceSymbolProvider = languages.registerWorkspaceSymbolProvider({
   provideWorkspaceSymbols,
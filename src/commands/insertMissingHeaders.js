@@ -0,0 +1,30 @@
+import * as vscode from 'vscode';
+import { getMissingHeaderEdits } from '../headerEdits';
+
+/**
+ * Inserts a function header above every Func of the active AutoIt Script that has none.
+ *
+ * The headers are created from the same templates as Insert Function Header.
+ *
+ * @returns {Promise<void>} A promise that resolves once the headers are inserted.
+ */
+async function insertMissingHeaders() {
+  const editor = vscode.window.activeTextEditor;
+
+  if (!editor) {
+    vscode.window.showErrorMessage('No active editor');
+    return;
+  }
+
+  const edits = getMissingHeaderEdits(editor.document);
+  if (!edits.length) {
+    vscode.window.showInformationMessage('Every function has a header');
+    return;
+  }
+
+  await editor.edit(editBuilder => {
+    edits.forEach(edit => editBuilder.insert(edit.range.start, edit.newText));
+  });
+}
+
+export default insertMissingHeaders;
@@ -0,0 +1,31 @@
+import * as vscode from 'vscode';
+import { getOrganizeIncludesEdits } from '../includeEdits';
+
+/**
+ * Organizes the `#include` lines of the active AutoIt Script.
+ *
+ * The includes at the top of the script are sorted, with library includes first, and duplicated
+ * or unused includes are removed.
+ *
+ * @returns {Promise<void>} A promise that resolves once the includes are organized.
+ */
+async function organizeIncludes() {
+  const editor = vscode.window.activeTextEditor;
+
+  if (!editor) {
+    vscode.window.showErrorMessage('No active editor');
+    return;
+  }
+
+  const edits = getOrganizeIncludesEdits(editor.document);
+  if (!edits.length) {
+    vscode.window.showInformationMessage('Includes are already organized');
+    return;
+  }
+
+  await editor.edit(editBuilder => {
+    edits.forEach(edit => editBuilder.replace(edit.range, edit.newText));
+  });
+}
+
+export default organizeIncludes;
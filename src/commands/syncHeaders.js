@@ -0,0 +1,31 @@
+import * as vscode from 'vscode';
+import { getSyncHeaderEdits } from '../headerEdits';
+
+/**
+ * Syncs the function headers of the active AutoIt Script with their Func signatures.
+ *
+ * The Name, Syntax and Parameters fields that don't match the Func are regenerated in the format
+ * of Insert Function Header, keeping the descriptions written for the parameters.
+ *
+ * @returns {Promise<void>} A promise that resolves once the headers are synced.
+ */
+async function syncHeaders() {
+  const editor = vscode.window.activeTextEditor;
+
+  if (!editor) {
+    vscode.window.showErrorMessage('No active editor');
+    return;
+  }
+
+  const edits = getSyncHeaderEdits(editor.document);
+  if (!edits.length) {
+    vscode.window.showInformationMessage('Function headers are already in sync');
+    return;
+  }
+
+  await editor.edit(editBuilder => {
+    edits.forEach(edit => editBuilder.replace(edit.range, edit.newText));
+  });
+}
+
+export default syncHeaders;
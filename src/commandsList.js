@@ -20,4 +20,7 @@ export const commandsList = [
   'debugRemove',
   'functionTraceAdd',
   'traceRemove',
+  'organizeIncludes',
+  'syncHeaders',
+  'insertMissingHeaders',
 ];
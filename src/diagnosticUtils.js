@@ -1,5 +1,7 @@
 import { Diagnostic, DiagnosticSeverity, Range, Position, Uri } from 'vscode';
 
+const AU3CHECK_SOURCE = 'Au3Check';
+
 /**
  * Returns the diagnostic severity based on the severity string.
  * @param {string} severityString - The severity string to convert to DiagnosticSeverity.
@@ -9,6 +11,8 @@ export const getDiagnosticSeverity = severityString => {
   switch (severityString) {
     case 'warning':
       return DiagnosticSeverity.Warning;
+    case 'hint':
+      return DiagnosticSeverity.Hint;
     default:
       return DiagnosticSeverity.Error;
   }
@@ -38,25 +42,45 @@ export const updateDiagnostics = (diagnostics, scriptPath, diagnosticToAdd) => {
   diagnostics.set(scriptPath, diagnosticArray);
 };
 
+/**
+ * Replaces the diagnostics of one source for a document, keeping those of other sources
+ * so Au3Check and the built-in checks can share one collection.
+ * @param {DiagnosticCollection} collection - The diagnostic collection to update.
+ * @param {Uri} uri - The URI of the document.
+ * @param {string} source - The source of the new diagnostics.
+ * @param {Diagnostic[]} diagnosticsToSet - The new diagnostics of that source.
+ */
+export const replaceDiagnostics = (collection, uri, source, diagnosticsToSet) => {
+  const otherDiagnostics = (collection.get(uri) || []).filter(
+    diagnostic => diagnostic.source !== source,
+  );
+  diagnosticsToSet.forEach(diagnostic => {
+    diagnostic.source = source;
+  });
+  collection.set(uri, [...otherDiagnostics, ...diagnosticsToSet]);
+};
+
+// the include problems the built-in checks report as well, with quick fixes
+const INCLUDE_PROBLEM_REGEXP = /^(?:can't open include file|#include file .* already included)/i;
 const OUTPUT_REGEXP = /"(?<scriptPath>.+)"\((?<line>\d{1,4}),(?<position>\d{1,4})\)\s:\s(?<severity>warning|error):\s(?<description>.+)\r/gm;
 
 /**
- * Processes the results of AU3Check, identifies warnings and errors.
+ * Processes the results of AU3Check, identifies warnings and errors. Include files that can't be
+ * found or are included twice are left to the built-in checks.
  * @param {string} output Text returned from AU3Check.
  * @param {DiagnosticCollection} collection - The diagnostic collection to update.
  * @param {Uri} documentURI - The URI of the document that was checked
  */
 export const parseAu3CheckOutput = (output, collection, documentURI) => {
-  if (output.includes('- 0 error(s), 0 warning(s)')) {
-    collection.delete(documentURI);
-    return;
-  }
+  replaceDiagnostics(collection, documentURI, AU3CHECK_SOURCE, []);
+  if (output.includes('- 0 error(s), 0 warning(s)')) return;
 
   const diagnostics = new Map();
 
   const matches = [...output.matchAll(OUTPUT_REGEXP)];
   matches.forEach(match => {
     const { line, position, severity, scriptPath, description } = match.groups;
+    if (INCLUDE_PROBLEM_REGEXP.test(description)) return;
     const diagnosticRange = createDiagnosticRange(line, position);
     const diagnosticSeverity = getDiagnosticSeverity(severity);
 
@@ -66,7 +90,7 @@ export const parseAu3CheckOutput = (output, collection, documentURI) => {
   });
 
   diagnostics.forEach((diagnosticArray, scriptPath) => {
-    collection.set(Uri.file(scriptPath), diagnosticArray);
+    replaceDiagnostics(collection, Uri.file(scriptPath), AU3CHECK_SOURCE, diagnosticArray);
   });
 };
 
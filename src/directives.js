@@ -0,0 +1,579 @@
+// The values a directive or `#pragma compile` option accepts: one of these kinds, a list of allowed
+// values, or a `{min, max}` range of whole numbers
+const YES_NO = 'yesNo';
+const TRUE_FALSE = 'trueFalse';
+const TEXT = 'text';
+const FILE = 'file';
+const VERSION = 'version';
+const NONE = 'none';
+
+const EXECUTION_LEVELS = ['asInvoker', 'highestAvailable', 'requireAdministrator', 'None'];
+
+/**
+ * The `#AutoIt3Wrapper_*` directives read by AutoIt3Wrapper. `pragma` names the
+ * `#pragma compile` option setting the same thing.
+ */
+export const WRAPPER_DIRECTIVES = [
+  { name: 'Icon', value: FILE, pragma: 'Icon', description: 'The icon of the compiled program.' },
+  {
+    name: 'OutFile',
+    value: FILE,
+    pragma: 'Out',
+    description: 'The file name of the compiled program.',
+  },
+  {
+    name: 'OutFile_X64',
+    value: FILE,
+    description: 'The file name of the 64-bit program when both versions are compiled.',
+  },
+  {
+    name: 'OutFile_Type',
+    value: ['exe', 'a3x'],
+    description: 'Compiles to a program (`exe`) or to an AutoIt script file (`a3x`).',
+  },
+  {
+    name: 'Compression',
+    value: { min: 0, max: 4 },
+    description: 'The compression level of the compiled script, from 0 (none) to 4 (maximum).',
+  },
+  {
+    name: 'UseUpx',
+    value: YES_NO,
+    pragma: 'UPX',
+    description: 'Compresses the compiled program with UPX.',
+  },
+  { name: 'UPX_Parameters', value: TEXT, description: 'The command line parameters of UPX.' },
+  {
+    name: 'Compile_Both',
+    value: YES_NO,
+    description: 'Compiles both the 32-bit and the 64-bit program.',
+  },
+  {
+    name: 'UseX64',
+    value: YES_NO,
+    pragma: 'x64',
+    description: 'Runs and compiles the script as 64-bit.',
+  },
+  {
+    name: 'Change2CUI',
+    value: YES_NO,
+    pragma: 'Console',
+    description: 'Compiles a console (CUI) program instead of a GUI one.',
+  },
+  {
+    name: 'Version',
+    value: ['B', 'P'],
+    description: 'Runs and compiles with the Beta (`B`) or the Production (`P`) version of AutoIt.',
+  },
+  {
+    name: 'Autoit3Dir',
+    value: FILE,
+    description: 'The AutoIt folder to use instead of the installed one.',
+  },
+  { name: 'AutoIt3', value: FILE, description: 'The `AutoIt3.exe` used to run the script.' },
+  { name: 'Aut2exe', value: FILE, description: 'The `Aut2exe.exe` used to compile the script.' },
+  { name: 'ShowProgress', value: YES_NO, description: 'Shows the progress of AutoIt3Wrapper.' },
+  {
+    name: 'Run_Debug_Mode',
+    value: YES_NO,
+    description: 'Shows the console output of AutoIt3Wrapper for debugging.',
+  },
+  {
+    name: 'Run_SciTE_Minimized',
+    value: YES_NO,
+    description: 'Minimizes SciTE while the script runs.',
+  },
+  {
+    name: 'Run_SciTE_OutputPane_Minimized',
+    value: YES_NO,
+    description: 'Minimizes the SciTE output pane while the script runs.',
+  },
+  {
+    name: 'Run_Au3Check',
+    value: YES_NO,
+    description: 'Checks the script with Au3Check before running or compiling it.',
+  },
+  {
+    name: 'Au3Check_Stop_OnWarning',
+    value: YES_NO,
+    description: 'Stops when Au3Check reports a warning.',
+  },
+  {
+    name: 'AU3Check_Parameters',
+    value: TEXT,
+    description: 'The parameters of Au3Check, e.g. `-d -w 3 -w 4 -w 5 -w 6`.',
+  },
+  {
+    name: 'Run_Au3Stripper',
+    value: YES_NO,
+    description: 'Runs Au3Stripper on the script before compiling it.',
+  },
+  { name: 'Run_Tidy', value: YES_NO, description: 'Runs Tidy on the script before compiling it.' },
+  { name: 'Tidy_Stop_OnError', value: YES_NO, description: 'Stops when Tidy reports an error.' },
+  {
+    name: 'Run_Before',
+    value: TEXT,
+    description: 'A command run before the script is compiled. Can be repeated.',
+  },
+  {
+    name: 'Run_After',
+    value: TEXT,
+    description: 'A command run after the script is compiled. Can be repeated.',
+  },
+  {
+    name: 'Jump_To_First_Error',
+    value: YES_NO,
+    description: 'Moves the cursor to the first error reported by Au3Check.',
+  },
+  {
+    name: 'Add_Constants',
+    value: YES_NO,
+    description: 'Adds the `#include` lines of the constants the script uses.',
+  },
+  {
+    name: 'PlugIn_Funcs',
+    value: TEXT,
+    description: 'The functions of plugins used by the script, separated by commas.',
+  },
+  {
+    name: 'Testing',
+    value: YES_NO,
+    description: 'Runs the development versions of the SciTE4AutoIt3 tools.',
+  },
+  {
+    name: 'Versioning',
+    value: ['v', 'y', 'n'],
+    description: 'Stores the versions of the script in a version control system.',
+  },
+  {
+    name: 'Versioning_Parameters',
+    value: TEXT,
+    description: 'The parameters of the version control system.',
+  },
+  {
+    name: 'Res_Comment',
+    value: TEXT,
+    pragma: 'Comments',
+    description: 'The Comments field of the version information.',
+  },
+  {
+    name: 'Res_Description',
+    value: TEXT,
+    pragma: 'FileDescription',
+    description: 'The FileDescription field of the version information.',
+  },
+  {
+    name: 'Res_Fileversion',
+    value: VERSION,
+    pragma: 'FileVersion',
+    description: 'The file version of the program, e.g. `1.0.0.0`.',
+  },
+  {
+    name: 'Res_Fileversion_AutoIncrement',
+    value: ['y', 'n', 'p'],
+    description:
+      'Increments the last part of the file version on each compile, or asks first (`p`).',
+  },
+  {
+    name: 'Res_Fileversion_First_Increment',
+    value: YES_NO,
+    description: 'Increments the file version before it is written to the program.',
+  },
+  {
+    name: 'Res_FileVersion_Use_Template',
+    value: TEXT,
+    description: 'The template the file version is written with.',
+  },
+  {
+    name: 'Res_ProductName',
+    value: TEXT,
+    pragma: 'ProductName',
+    description: 'The ProductName field of the version information.',
+  },
+  {
+    name: 'Res_ProductVersion',
+    value: TEXT,
+    pragma: 'ProductVersion',
+    description: 'The ProductVersion field of the version information.',
+  },
+  {
+    name: 'Res_CompanyName',
+    value: TEXT,
+    pragma: 'CompanyName',
+    description: 'The CompanyName field of the version information.',
+  },
+  {
+    name: 'Res_LegalCopyright',
+    value: TEXT,
+    pragma: 'LegalCopyright',
+    description: 'The LegalCopyright field of the version information.',
+  },
+  {
+    name: 'Res_LegalTradeMarks',
+    value: TEXT,
+    pragma: 'LegalTrademarks',
+    description: 'The LegalTrademarks field of the version information.',
+  },
+  {
+    name: 'Res_Language',
+    value: { min: 0, max: 65535 },
+    description:
+      'The language code of the version information, e.g. `1033` for English (United States).',
+  },
+  {
+    name: 'Res_requestedExecutionLevel',
+    value: EXECUTION_LEVELS,
+    pragma: 'ExecLevel',
+    description: 'The execution level requested in the manifest of the program.',
+  },
+  {
+    name: 'Res_Compatibility',
+    value: ['Vista', 'Windows7', 'Windows8', 'Windows8.1', 'Windows10'],
+    list: true,
+    pragma: 'Compatibility',
+    description: 'The Windows versions the program is compatible with, separated by commas.',
+  },
+  { name: 'Res_HiDpi', value: YES_NO, description: 'Marks the program as DPI aware.' },
+  {
+    name: 'Res_SaveSource',
+    value: YES_NO,
+    description: 'Stores the source of the script in the compiled program.',
+  },
+  {
+    name: 'Res_Field',
+    value: TEXT,
+    description: 'An extra field of the version information, as `Name|Value`. Can be repeated.',
+  },
+  {
+    name: 'Res_Icon_Add',
+    value: FILE,
+    description: 'An icon added to the resources of the program. Can be repeated.',
+  },
+  {
+    name: 'Res_File_Add',
+    value: TEXT,
+    description:
+      'A file added to the resources of the program, as `File, Section, Name`. Can be repeated.',
+  },
+  {
+    name: 'Res_Remove',
+    value: TEXT,
+    description: 'A resource removed from the program. Can be repeated.',
+  },
+  {
+    name: 'If_Run',
+    value: NONE,
+    description: 'Starts the directives used only when the script is run.',
+  },
+  {
+    name: 'If_Compile',
+    value: NONE,
+    description: 'Starts the directives used only when the script is compiled.',
+  },
+  {
+    name: 'Else',
+    value: NONE,
+    description:
+      'Starts the directives used otherwise, after `#AutoIt3Wrapper_If_Run` or `#AutoIt3Wrapper_If_Compile`.',
+  },
+  {
+    name: 'EndIf',
+    value: NONE,
+    description: 'Ends an `#AutoIt3Wrapper_If_Run` or `#AutoIt3Wrapper_If_Compile` block.',
+  },
+].map(directive => ({ ...directive, label: `#AutoIt3Wrapper_${directive.name}` }));
+
+/**
+ * The options of `#pragma compile(option, value)`
+ */
+export const PRAGMA_OPTIONS = [
+  { name: 'Out', value: FILE, description: 'The file name of the compiled program.' },
+  { name: 'Icon', value: FILE, description: 'The icon of the compiled program.' },
+  {
+    name: 'ExecLevel',
+    value: EXECUTION_LEVELS,
+    description: 'The execution level requested in the manifest of the program.',
+  },
+  { name: 'UPX', value: TRUE_FALSE, description: 'Compresses the compiled program with UPX.' },
+  {
+    name: 'AutoItExecuteAllowed',
+    value: TRUE_FALSE,
+    description:
+      'Allows the program to run other scripts with `/AutoIt3ExecuteScript` and `/AutoIt3ExecuteLine`.',
+  },
+  {
+    name: 'Console',
+    value: TRUE_FALSE,
+    description: 'Compiles a console (CUI) program instead of a GUI one.',
+  },
+  {
+    name: 'Compression',
+    value: { min: 0, max: 9 },
+    description: 'The compression level of the compiled script, from 0 (none) to 9 (maximum).',
+  },
+  {
+    name: 'Compatibility',
+    value: ['vista', 'win7', 'win8', 'win81', 'win10'],
+    list: true,
+    description: 'The Windows versions the program is compatible with, separated by commas.',
+  },
+  { name: 'x64', value: TRUE_FALSE, description: 'Compiles a 64-bit program.' },
+  {
+    name: 'inputboxres',
+    value: TRUE_FALSE,
+    description: 'Makes `InputBox` use the resolution of the Windows 2000 and later dialogs.',
+  },
+  { name: 'Comments', value: TEXT, description: 'The Comments field of the version information.' },
+  {
+    name: 'CompanyName',
+    value: TEXT,
+    description: 'The CompanyName field of the version information.',
+  },
+  {
+    name: 'FileDescription',
+    value: TEXT,
+    description: 'The FileDescription field of the version information.',
+  },
+  {
+    name: 'FileVersion',
+    value: TEXT,
+    description:
+      'The file version of the program, e.g. `1.0.0.0`, optionally followed by the version text.',
+  },
+  {
+    name: 'InternalName',
+    value: TEXT,
+    description: 'The InternalName field of the version information.',
+  },
+  {
+    name: 'LegalCopyright',
+    value: TEXT,
+    description: 'The LegalCopyright field of the version information.',
+  },
+  {
+    name: 'LegalTrademarks',
+    value: TEXT,
+    description: 'The LegalTrademarks field of the version information.',
+  },
+  {
+    name: 'OriginalFilename',
+    value: TEXT,
+    description: 'The OriginalFilename field of the version information.',
+  },
+  {
+    name: 'ProductName',
+    value: TEXT,
+    description: 'The ProductName field of the version information.',
+  },
+  {
+    name: 'ProductVersion',
+    value: TEXT,
+    description: 'The ProductVersion field of the version information.',
+  },
+].map(option => ({ ...option, label: option.name }));
+
+const WRAPPER_PREFIX = 'autoit3wrapper_';
+
+/**
+ * Finds an `#AutoIt3Wrapper_*` directive of the catalog
+ * @param {string} name The directive name as the parser stores it, e.g. `autoit3wrapper_usex64`
+ * @returns {Object|undefined} The directive
+ */
+export const findWrapperDirective = name =>
+  WRAPPER_DIRECTIVES.find(directive => directive.label.slice(1).toLowerCase() === name);
+
+/**
+ * Finds a `#pragma compile` option of the catalog
+ * @param {string} name The option name, in any case
+ * @returns {Object|undefined} The option
+ */
+export const findPragmaOption = name =>
+  PRAGMA_OPTIONS.find(option => option.name.toLowerCase() === name.toLowerCase());
+
+/**
+ * Checks if a directive name belongs to AutoIt3Wrapper
+ * @param {string} name The directive name as the parser stores it, lowercase without `#`
+ * @returns {boolean} `true` for `#AutoIt3Wrapper_*` directives
+ */
+export const isWrapperDirective = name => name.startsWith(WRAPPER_PREFIX);
+
+/**
+ * Splits the argument of an `#AutoIt3Wrapper_*` directive into its value
+ * @param {string} argument The text after the directive name, e.g. `=y`
+ * @returns {{value: string, index: number}} The value and its index in the argument
+ */
+export const parseWrapperArgument = argument => {
+  const match = argument.match(/^\s*=?\s*/);
+  return { value: argument.slice(match[0].length).trimEnd(), index: match[0].length };
+};
+
+/**
+ * Splits the argument of a `#pragma` directive into its option and value, as in
+ * `compile(FileVersion, 1.0.0.0)`
+ * @param {string} argument The text after `#pragma`
+ * @returns {{option: string, optionIndex: number, value: string, valueIndex: number}|null} The parts
+ * and their indexes in the argument, or null if it isn't a `compile(…)` argument
+ */
+export const parsePragmaArgument = argument => {
+  const match = argument.match(/^(compile\s*\(\s*)(\w*)(\s*,?\s*)(.*?)\s*\)?\s*$/i);
+  if (!match) return null;
+
+  const [, open, option, separator, value] = match;
+  return {
+    option,
+    optionIndex: open.length,
+    value,
+    valueIndex: open.length + option.length + separator.length,
+  };
+};
+
+/**
+ * Checks if a directive is written with a value, as `#AutoIt3Wrapper_Name=value`
+ * @param {Object} entry The directive
+ * @returns {boolean} `false` for the directives written alone, like `#AutoIt3Wrapper_EndIf`
+ */
+export const takesValue = ({ value }) => value !== NONE;
+
+/**
+ * Lists the values of a directive or option offered as completions
+ * @param {Object} entry The directive or option
+ * @returns {string[]} The values, none for free text
+ */
+export const getValueChoices = ({ value }) => {
+  if (Array.isArray(value)) return value;
+  if (value === YES_NO) return ['y', 'n'];
+  if (value === TRUE_FALSE) return ['true', 'false'];
+  if (typeof value === 'object') {
+    return Array.from({ length: Math.min(value.max - value.min + 1, 10) }, (_, i) =>
+      String(value.min + i),
+    );
+  }
+  return [];
+};
+
+/**
+ * Describes the values a directive or option accepts, for its documentation
+ * @param {Object} entry The directive or option
+ * @returns {string} The description
+ */
+export const describeValue = ({ value, list }) => {
+  if (Array.isArray(value)) {
+    const values = value.map(choice => `\`${choice}\``).join(', ');
+    return list ? `One or more of ${values}, separated by commas` : `One of ${values}`;
+  }
+  if (typeof value === 'object') return `A number from ${value.min} to ${value.max}`;
+  return {
+    [YES_NO]: '`y` or `n`',
+    [TRUE_FALSE]: '`true` or `false`',
+    [FILE]: 'A file path',
+    [VERSION]: 'A version number such as `1.0.0.0`',
+    [NONE]: 'No value',
+    [TEXT]: 'Text',
+  }[value];
+};
+
+/**
+ * Checks the value of a directive or option. Empty values are accepted, as they leave the default.
+ * @param {Object} entry The directive or option
+ * @param {string} value The value as written
+ * @returns {boolean} `true` if the value is accepted
+ */
+export const isValidValue = ({ value: kind, list }, value) => {
+  const text = value.replace(/^(["'])(.*)\1$/, '$2').trim();
+  if (!text) return true;
+  if (kind === NONE) return false;
+  if (kind === YES_NO) return /^(?:y|n|yes|no)$/i.test(text);
+  if (kind === TRUE_FALSE) return /^(?:true|false)$/i.test(text);
+  if (kind === VERSION) return /^\d+(?:\.\d+){0,3}$/.test(text);
+  if (Array.isArray(kind)) {
+    const choices = kind.map(choice => choice.toLowerCase());
+    const items = list ? text.split(',').map(item => item.trim()) : [text];
+    return items.every(item => choices.includes(item.toLowerCase()));
+  }
+  if (typeof kind === 'object') {
+    return /^\d+$/.test(text) && Number(text) >= kind.min && Number(text) <= kind.max;
+  }
+  return true;
+};
+
+/**
+ * Brings the value of a directive or option to a form comparable with the other syntax: `y`/`n`
+ * and `true`/`false` become booleans, lists become the positions of their values and text loses its
+ * quotes and case
+ * @param {Object} entry The directive or option
+ * @param {string} value The value as written
+ * @returns {string} The comparable value
+ */
+export const normalizeValue = (entry, value) => {
+  const text = value
+    .replace(/^(["'])(.*)\1$/, '$2')
+    .trim()
+    .toLowerCase();
+  if (entry.value === YES_NO) return String(text.startsWith('y'));
+  if (entry.value === TRUE_FALSE) return String(text === 'true');
+  if (entry.list) {
+    // the directive and the pragma name the Windows versions differently, but in the same order
+    const choices = entry.value.map(choice => choice.toLowerCase());
+    return text
+      .split(',')
+      .map(item => choices.indexOf(item.trim()))
+      .sort((a, b) => a - b)
+      .join(',');
+  }
+  return text;
+};
+
+/**
+ * Splits an `#AutoIt3Wrapper_*` or `#pragma compile` directive into the parts the catalog describes
+ * @param {Object} token The Directive token
+ * @returns {Object|null} The `wrapper` or `pragma` kind, the catalog `entry` (undefined if unknown),
+ * and the `name` and `value` parts with their text and offsets, or null for other directives and
+ * pragmas that aren't `compile(…)`
+ */
+export const getDirectiveParts = token => {
+  const argumentStart = token.start + token.value.length - token.argument.length;
+  const part = (text, start) => ({ text, start, end: start + text.length });
+
+  if (isWrapperDirective(token.name)) {
+    const { value, index } = parseWrapperArgument(token.argument);
+    return {
+      kind: 'wrapper',
+      entry: findWrapperDirective(token.name),
+      name: part(token.value.slice(0, token.name.length + 1), token.start),
+      value: part(value, argumentStart + index),
+    };
+  }
+
+  const pragma = token.name === 'pragma' && parsePragmaArgument(token.argument);
+  if (!pragma) return null;
+  return {
+    kind: 'pragma',
+    entry: findPragmaOption(pragma.option),
+    name: part(pragma.option, argumentStart + pragma.optionIndex),
+    value: part(pragma.value, argumentStart + pragma.valueIndex),
+  };
+};
+
+/**
+ * Documents a directive or option as markdown, for hovers and completions
+ * @param {Object} entry The directive or option
+ * @param {boolean} [pragma=false] Whether the entry is a `#pragma compile` option
+ * @returns {string} The documentation
+ */
+export const getDirectiveDocumentation = (entry, pragma = false) => {
+  const lines = [
+    pragma ? `**#pragma compile(${entry.name}, …)**` : `**${entry.label}**`,
+    '',
+    entry.description,
+    '',
+    `Value: ${describeValue(entry)}`,
+  ];
+  const counterpart = pragma
+    ? WRAPPER_DIRECTIVES.find(directive => directive.pragma === entry.name)
+    : entry.pragma && findPragmaOption(entry.pragma);
+  if (counterpart) {
+    const other = pragma ? counterpart.label : `#pragma compile(${counterpart.name}, …)`;
+    lines.push('', `Same setting as \`${other}\``);
+  }
+  return lines.join('\n');
+};
@@ -7,11 +7,24 @@ import hoverFeature from './ai_hover';
 import completionFeature from './ai_completion';
 import symbolsFeature from './ai_symbols';
 import signaturesFeature, { signatureHoverProvider } from './ai_signature';
-import workspaceSymbolsFeature from './ai_workspaceSymbols';
+import workspaceSymbolsFeature, { registerWorkspaceSymbolIndex } from './ai_workspaceSymbols';
 import goToDefinitionFeature from './ai_definition';
+import referencesFeature from './ai_references';
+import renameFeature from './ai_rename';
+import foldingFeature from './ai_folding';
+import semanticTokensFeature from './ai_semanticTokens';
+import callHierarchyFeature from './ai_callHierarchy';
+import inlayHintsFeature from './ai_inlayHints';
+import formattingFeature, {
+  rangeFormattingProvider,
+  onTypeFormattingProvider,
+} from './ai_formatting';
+import codeActionsFeature from './ai_codeActions';
 
 import { registerCommands } from './registerCommands';
 import { parseAu3CheckOutput } from './diagnosticUtils';
+import { registerDiagnostics } from './ai_diagnostics';
+import { forgetDocument } from './parser';
 import conf from './ai_config';
 
 const { config } = conf;
@@ -123,6 +136,16 @@ export const activate = ctx => {
     signatureHoverProvider,
     workspaceSymbolsFeature,
     goToDefinitionFeature,
+    referencesFeature,
+    renameFeature,
+    foldingFeature,
+    semanticTokensFeature,
+    callHierarchyFeature,
+    inlayHintsFeature,
+    formattingFeature,
+    rangeFormattingProvider,
+    onTypeFormattingProvider,
+    codeActionsFeature,
   ];
   ctx.subscriptions.push(...features);
 
@@ -130,20 +153,28 @@ export const activate = ctx => {
 
   registerCommands(ctx);
 
-  if (process.platform === 'win32') {
-    const diagnosticCollection = languages.createDiagnosticCollection('autoit');
-    ctx.subscriptions.push(diagnosticCollection);
+  ctx.subscriptions.push(workspace.onDidCloseTextDocument(forgetDocument));
+  ctx.subscriptions.push(...registerWorkspaceSymbolIndex(ctx.workspaceState));
 
-    workspace.onDidSaveTextDocument(document => checkAutoItCode(document, diagnosticCollection));
-    workspace.onDidOpenTextDocument(document => checkAutoItCode(document, diagnosticCollection));
+  const diagnosticCollection = languages.createDiagnosticCollection('autoit');
+  ctx.subscriptions.push(diagnosticCollection);
+  ctx.subscriptions.push(...registerDiagnostics(diagnosticCollection));
+  ctx.subscriptions.push(
     workspace.onDidCloseTextDocument(document => {
       diagnosticCollection.delete(document.uri);
-    });
-    window.onDidChangeActiveTextEditor(editor => {
-      if (editor) {
-        checkAutoItCode(editor.document, diagnosticCollection);
-      }
-    });
+    }),
+  );
+
+  if (process.platform === 'win32') {
+    ctx.subscriptions.push(
+      workspace.onDidSaveTextDocument(document => checkAutoItCode(document, diagnosticCollection)),
+      workspace.onDidOpenTextDocument(document => checkAutoItCode(document, diagnosticCollection)),
+      window.onDidChangeActiveTextEditor(editor => {
+        if (editor) {
+          checkAutoItCode(editor.document, diagnosticCollection);
+        }
+      }),
+    );
 
     // Run diagnostic on document that's open when the extension loads
     if (config.enableDiagnostics && window.activeTextEditor) {
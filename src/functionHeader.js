@@ -0,0 +1,598 @@
+// the first line of a UDF header, as written by Insert Function Header and the standard UDFs
+const HEADER_START = /^\s*;\s*#(FUNCTION|INTERNAL_USE_ONLY)#/i;
+const HEADER_END = /^\s*;\s*={3,}\s*$/;
+// a field line such as `; Parameters ....: $sText - The text`
+const FIELD_LINE = /^\s*;\s*([A-Za-z][A-Za-z ]*?)\s*\.+\s*:[ \t]?(.*)$/;
+const PARAM_LINE = /^(?:ByRef\s+)?(\$\w+)\s*-\s*(.*)$/i;
+// the tags Insert Function Header writes before a parameter description
+const PARAM_TAG = /^\s*(?:\[in\/out\]|\[optional\]|Default is .*?\.(?=\s|$))\s*/i;
+const TRAILING_DEFAULT = /(?:^|\s+)Default is (.+?)\.?\s*$/i;
+const PARAMS_VARIABLE = `\${params}`;
+// the width of the parameter names in the Parameters field
+const PARAM_NAME_WIDTH = 21;
+
+/**
+ * Turns the label of a header field into the key it is stored under, e.g. `Return values` into
+ * `returnValues`
+ * @param {string} label The label as written in the header
+ * @returns {string} The key
+ */
+const toFieldKey = label =>
+  label
+    .toLowerCase()
+    .trim()
+    .replace(/\s+(\w)/g, (_, char) => char.toUpperCase());
+
+/**
+ * Joins the lines of a header field into Markdown text. Lines starting with `|` become list items
+ * and empty lines separate paragraphs.
+ * @param {string[]} lines The lines of the field, without their `;` and indentation
+ * @returns {string} The text
+ */
+export const joinHeaderLines = lines =>
+  lines
+    .reduce((text, line) => {
+      if (!line) return `${text}\n\n`;
+      if (line.startsWith('|')) return `${text}\n- ${line.slice(1).trim()}`;
+      return !text || text.endsWith('\n') ? `${text}${line}` : `${text} ${line}`;
+    }, '')
+    .trim();
+
+/**
+ * Returns the text of a header field
+ * @param {Object} header The parsed header
+ * @param {string} key The field key, e.g. `remarks` or `returnValues`
+ * @returns {string} The Markdown text of the field, or an empty string if the header doesn't have it
+ */
+export const getFieldText = (header, key) => {
+  const field = header.fields.find(candidate => candidate.key === key);
+  return field ? joinHeaderLines(field.lines) : '';
+};
+
+/**
+ * Splits the Parameters field of a header into the documentation of each parameter. Lines that
+ * don't start with a variable continue the previous parameter.
+ * @param {Object} field The Parameters field
+ * @returns {Array<{name: string, lines: string[], line: number, endLine: number}>} The parameters
+ * in header order
+ */
+const parseParams = field => {
+  const params = [];
+  field.lines.forEach((text, index) => {
+    const match = text.match(PARAM_LINE);
+    if (match) {
+      const line = field.line + index;
+      params.push({ name: match[1], lines: [match[2]], line, endLine: line });
+    } else if (params.length && text) {
+      params[params.length - 1].lines.push(text);
+      params[params.length - 1].endLine = field.line + index;
+    }
+  });
+  return params.map(param => ({ ...param, description: joinHeaderLines(param.lines) }));
+};
+
+/**
+ * Parses the header block starting at a line
+ * @param {string[]} lines The lines of the script
+ * @param {number} startLine The `; #FUNCTION#` line
+ * @returns {Object} The header with its `kind` (`function` or `internal`), the lines it spans, its
+ * `fields` in order and the `name`, `description`, `syntax` and `params` found in them
+ */
+const parseHeader = (lines, startLine) => {
+  const kind =
+    lines[startLine].match(HEADER_START)[1].toLowerCase() === 'function' ? 'function' : 'internal';
+  const fields = [];
+  let endLine = startLine;
+
+  for (let line = startLine + 1; line < lines.length; line += 1) {
+    const text = lines[line];
+    if (!/^\s*;/.test(text) || HEADER_START.test(text)) break;
+    endLine = line;
+    if (HEADER_END.test(text)) break;
+
+    const field = text.match(FIELD_LINE);
+    if (field) {
+      fields.push({
+        key: toFieldKey(field[1]),
+        label: field[1],
+        line,
+        endLine: line,
+        lines: [field[2].trim()],
+      });
+    } else if (fields.length) {
+      const current = fields[fields.length - 1];
+      current.lines.push(text.replace(/^\s*;/, '').trim());
+      current.endLine = line;
+    }
+  }
+
+  // empty lines at the end of a field are the spacing before the next one
+  fields.forEach(field => {
+    while (field.lines.length > 1 && !field.lines[field.lines.length - 1]) field.lines.pop();
+  });
+
+  const header = { kind, line: startLine, endLine, fields };
+  const paramsField = fields.find(field => field.key === 'parameters');
+  return {
+    ...header,
+    name: getFieldText(header, 'name'),
+    description: getFieldText(header, 'description'),
+    syntax: getFieldText(header, 'syntax'),
+    params: paramsField ? parseParams(paramsField) : [],
+  };
+};
+
+/**
+ * Finds the `; #FUNCTION#` and `; #INTERNAL_USE_ONLY#` headers of a script
+ * @param {Object} tree The syntax tree of the script
+ * @returns {Object[]} The parsed headers in document order
+ */
+export const getFunctionHeaders = tree => {
+  if (tree.functionHeaders) return tree.functionHeaders;
+
+  const lines = tree.text.split(/\r\n|\r|\n/);
+  const headers = [];
+  for (let line = 0; line < lines.length; line += 1) {
+    if (HEADER_START.test(lines[line])) {
+      const header = parseHeader(lines, line);
+      headers.push(header);
+      line = header.endLine;
+    }
+  }
+
+  tree.functionHeaders = headers;
+  return headers;
+};
+
+/**
+ * Finds the header of a function: the header right above its Func line, only blank lines between,
+ * or else the header naming the function
+ * @param {Object} tree The syntax tree of the script
+ * @param {Object} functionNode The Function node
+ * @returns {Object|null} The parsed header
+ */
+export const findFunctionHeader = (tree, functionNode) => {
+  const headers = getFunctionHeaders(tree);
+  const above = headers.filter(header => header.endLine < functionNode.line).pop();
+  if (above) {
+    const between = tree.text.slice(
+      tree.lineStarts[above.endLine + 1],
+      tree.lineStarts[functionNode.line],
+    );
+    if (!between.trim()) return above;
+  }
+
+  const name = (functionNode.name || '').toLowerCase();
+  return headers.find(header => header.name.toLowerCase() === name) || null;
+};
+
+/**
+ * Pairs the headers of a script with the functions they document. A header right above a Func
+ * documents it; the remaining headers are paired by their Name with the functions left.
+ * @param {Object} tree The syntax tree of the script
+ * @returns {Array<{header: Object, functionNode: Object}>} The pairs, in the order of the headers
+ */
+export const getDocumentedFunctions = tree => {
+  const functions = tree.functions.filter(functionNode => functionNode.name);
+  const pairs = new Map();
+  const isDocumented = functionNode =>
+    [...pairs.values()].some(documented => documented === functionNode);
+
+  const headers = getFunctionHeaders(tree);
+  headers.forEach(header => {
+    const below = functions.find(functionNode => functionNode.line > header.endLine);
+    const between = below
+      ? tree.text.slice(tree.lineStarts[header.endLine + 1], tree.lineStarts[below.line])
+      : null;
+    if (below && !between.trim()) pairs.set(header, below);
+  });
+  headers
+    .filter(header => !pairs.has(header) && header.name)
+    .forEach(header => {
+      const name = header.name.toLowerCase();
+      const named = functions.find(
+        functionNode => functionNode.name.toLowerCase() === name && !isDocumented(functionNode),
+      );
+      if (named) pairs.set(header, named);
+    });
+
+  return headers
+    .filter(header => pairs.has(header))
+    .map(header => ({ header, functionNode: pairs.get(header) }));
+};
+
+/**
+ * Formats the Return values field as a Markdown list, with the `@error` codes of a result nested
+ * under it
+ * @param {Object} header The parsed header
+ * @returns {string} The Markdown list, or an empty string
+ */
+const formatReturnValues = header => {
+  const field = header.fields.find(({ key }) => key === 'returnValues');
+  if (!field) return '';
+
+  const items = [];
+  field.lines.forEach(text => {
+    if (!text || /^none$/i.test(text)) return;
+
+    const result = text.match(/^(Success|Failure)\s*[-:]\s*(.*)$/i);
+    const error = text.match(/^\|?\s*(?:@error\s*[:=]?\s*)?(-?\d+)\s*[-:]\s*(.*)$/i);
+    if (result) {
+      items.push(`- **${result[1]}**: ${result[2]}`);
+    } else if (error && (text.startsWith('|') || /^@error/i.test(text))) {
+      items.push(`    - \`@error = ${error[1]}\`: ${error[2]}`);
+    } else if (text.startsWith('|')) {
+      items.push(`    - ${text.slice(1).trim()}`);
+    } else if (items.length) {
+      items[items.length - 1] += ` ${text}`;
+    } else {
+      items.push(`- ${text}`);
+    }
+  });
+  return items.join('\n');
+};
+
+/**
+ * Renders the documentation of a function header as Markdown: the description on the first line,
+ * then the return values, remarks, related functions, link and example
+ * @param {Object} header The parsed header
+ * @returns {string} The Markdown text
+ */
+export const getHeaderDocumentation = header => {
+  const sections = [header.description];
+
+  const returnValues = formatReturnValues(header);
+  if (returnValues) sections.push(`**Return values**\n\n${returnValues}`);
+
+  const remarks = getFieldText(header, 'remarks');
+  if (remarks) sections.push(`**Remarks**\n\n${remarks}`);
+
+  const related = getFieldText(header, 'related')
+    .split(/\s*,\s*/)
+    .filter(Boolean);
+  if (related.length)
+    sections.push(`**Related:** ${related.map(name => `\`${name}\``).join(', ')}`);
+
+  const link = getFieldText(header, 'link');
+  if (link) sections.push(`**Link:** ${/^https?:\/\/\S+$/i.test(link) ? `<${link}>` : link}`);
+
+  const example = getFieldText(header, 'example');
+  if (example && !/^no$/i.test(example)) sections.push(`**Example:** ${example}`);
+
+  return sections.filter(Boolean).join('\n\n');
+};
+
+/**
+ * Finds the documentation of a parameter in a function header
+ * @param {Object|null} header The parsed header
+ * @param {string} name The parameter name, e.g. `$sText`
+ * @returns {string} The Markdown documentation, or an empty string
+ */
+export const getParamDocumentation = (header, name) => {
+  if (!header) return '';
+  const param = header.params.find(
+    candidate => candidate.name.toLowerCase() === name.toLowerCase(),
+  );
+  return param ? param.description : '';
+};
+
+/**
+ * Creates the Syntax of a function for its header, with optional parameters in brackets, e.g.
+ * `_ArrayAdd(ByRef $aArray, $vValue[, $iStart = 0])`
+ * @param {Object} functionNode The Function node
+ * @returns {string} The syntax
+ */
+export const getHeaderSyntax = functionNode => {
+  let syntax = `${functionNode.name}(`;
+  let closing = ')';
+  functionNode.params.forEach((param, index) => {
+    if (param.optional) {
+      syntax += '[';
+      closing = `]${closing}`;
+    }
+    const text = param.text
+      .replace(/\s+_[\t ]*(?:;[^\r\n]*)?\r?\n\s*/g, ' ')
+      .replace(/\bbyref\s+/i, '');
+    syntax += `${index ? ', ' : ''}${param.byRef ? 'ByRef ' : ''}${text}`;
+  });
+  return `${syntax}${closing}`;
+};
+
+/**
+ * Splits the tags Insert Function Header writes from a parameter description, and the default
+ * value the standard UDFs write after it
+ * @param {string} description The description from the header
+ * @returns {{byRef: boolean, optional: boolean, defaultValue: ?string, text: string}} The tags and
+ * the hand-written description
+ */
+export const splitParamTags = description => {
+  const tags = { byRef: false, optional: false, defaultValue: null };
+  let text = description;
+  let match = text.match(PARAM_TAG);
+  while (match) {
+    const tag = match[0].trim();
+    if (/^\[in\/out\]$/i.test(tag)) tags.byRef = true;
+    else if (/^\[optional\]$/i.test(tag)) tags.optional = true;
+    else tags.defaultValue = tag.slice('Default is '.length, -1);
+    text = text.slice(match[0].length);
+    match = text.match(PARAM_TAG);
+  }
+
+  // the standard UDFs write the default value at the end of the description
+  const trailing = text.match(TRAILING_DEFAULT);
+  if (trailing && tags.defaultValue === null) {
+    [, tags.defaultValue] = trailing;
+    text = text.slice(0, trailing.index);
+  }
+  return { ...tags, text };
+};
+
+/**
+ * Replaces the `${variable}` placeholders of a template line. Unknown variables are left as they are.
+ * @param {string} template The template line
+ * @param {Object<string, string>} variables The values by variable name
+ * @returns {string} The line
+ */
+const fillTemplate = (template, variables) =>
+  template.replace(/\$\{(\w+)\}/g, (placeholder, name) =>
+    Object.prototype.hasOwnProperty.call(variables, name) ? variables[name] : placeholder,
+  );
+
+/**
+ * Creates the first line of a parameter in the Parameters field, e.g.
+ * `$iStart              - [optional] Default is 0. Column to start at`. A template
+ * (`autoit.functionHeaderParamTemplate`) can use the variables `param` (the name padded to the
+ * description column), `paramName`, `tags`, `byRef`, `optional` and `default`.
+ * @param {Object} param The Parameter node
+ * @param {string} [description=''] The hand-written description, added after the template
+ * @param {string} [template] The parameter template, the Insert Function Header format by default
+ * @returns {string} The line, without the `;` prefix
+ */
+export const getParamLine = (param, description = '', template = '') => {
+  const byRef = param.byRef ? '[in/out]' : '';
+  const optional = param.optional ? '[optional]' : '';
+  const defaultValue = param.optional ? param.defaultValue || '' : '';
+  const tags = [byRef, optional && `${optional} Default is ${defaultValue}.`].filter(Boolean);
+  const paramName = param.name.padEnd(PARAM_NAME_WIDTH);
+
+  const line = template
+    ? fillTemplate(template, {
+        param: paramName,
+        paramName: param.name,
+        tags: tags.join(' '),
+        byRef,
+        optional,
+        default: defaultValue,
+      })
+    : `${paramName}- ${tags.join(' ')}`;
+  return [line.trimEnd(), description].filter(Boolean).join(' ');
+};
+
+/**
+ * Compares a function header with the Func signature: its Name, Syntax and the parameters
+ * documented, with their ByRef and optional tags and default values
+ * @param {Object} header The parsed header
+ * @param {Object} functionNode The Function node
+ * @param {string} [paramTemplate] The template of each parameter line; the tags are only checked
+ * when it writes them
+ * @returns {Array<{line: number, message: string}>} The mismatches, on the header lines they concern
+ */
+export const getHeaderProblems = (header, functionNode, paramTemplate = '') => {
+  const checkTags = !paramTemplate || /\$\{(?:tags|byRef|optional|default)\}/.test(paramTemplate);
+  const problems = [];
+  const getField = key => header.fields.find(field => field.key === key);
+  const report = (line, message) => problems.push({ line, message });
+
+  const nameField = getField('name');
+  if (nameField && header.name !== functionNode.name) {
+    report(
+      nameField.line,
+      `Header Name ${header.name || '(empty)'} doesn't match Func ${functionNode.name}`,
+    );
+  }
+
+  const syntaxField = getField('syntax');
+  const normalize = text =>
+    text
+      .replace(/\s+/g, ' ')
+      .replace(/\s*([(),[\]])\s*/g, '$1')
+      .toLowerCase();
+  if (syntaxField && normalize(header.syntax) !== normalize(getHeaderSyntax(functionNode))) {
+    report(
+      syntaxField.line,
+      `Header Syntax doesn't match the parameters of Func ${functionNode.name}`,
+    );
+  }
+
+  const paramsField = getField('parameters');
+  if (!paramsField) return problems;
+
+  const params = functionNode.params.filter(param => param.name);
+  const documented = new Map(header.params.map(param => [param.name.toLowerCase(), param]));
+  const actual = new Set(params.map(param => param.name.toLowerCase()));
+  const extra = header.params.filter(param => !actual.has(param.name.toLowerCase()));
+  const missing = params.filter(param => !documented.has(param.name.toLowerCase()));
+
+  // a documented parameter in the place of a missing one was probably renamed
+  extra.forEach(param => {
+    const index = header.params.indexOf(param);
+    const renamed = missing.includes(params[index]) ? params[index] : null;
+    const message = renamed
+      ? `Header documents ${param.name}, but the parameter is named ${renamed.name}`
+      : `Header documents ${param.name}, which isn't a parameter of Func ${functionNode.name}`;
+    report(param.line, message);
+  });
+  missing
+    .filter(
+      param =>
+        !extra.some(
+          documentedParam => header.params.indexOf(documentedParam) === params.indexOf(param),
+        ),
+    )
+    .forEach(param =>
+      report(paramsField.line, `Parameter ${param.name} isn't documented in the header`),
+    );
+
+  params.forEach((param, index) => {
+    const documentedParam = documented.get(param.name.toLowerCase());
+    if (!documentedParam) return;
+
+    // the tags of a custom parameter template can't be told apart from the description
+    if (checkTags) {
+      const tags = splitParamTags(documentedParam.lines.join(' '));
+      if (tags.byRef !== param.byRef) {
+        report(
+          documentedParam.line,
+          param.byRef
+            ? `${param.name} is ByRef, but not tagged [in/out]`
+            : `${param.name} is tagged [in/out], but isn't ByRef`,
+        );
+      }
+      if (tags.optional !== param.optional) {
+        report(
+          documentedParam.line,
+          param.optional
+            ? `${param.name} is optional, but not tagged [optional]`
+            : `${param.name} is tagged [optional], but has no default value`,
+        );
+      } else if (
+        param.optional &&
+        tags.defaultValue !== null &&
+        tags.defaultValue !== param.defaultValue
+      ) {
+        report(
+          documentedParam.line,
+          `Header says ${param.name} defaults to ${tags.defaultValue}, but the default is ${param.defaultValue}`,
+        );
+      }
+    }
+    if (
+      header.params.indexOf(documentedParam) !== index &&
+      extra.length === 0 &&
+      missing.length === 0
+    ) {
+      report(documentedParam.line, `${param.name} is documented out of order`);
+    }
+  });
+
+  return problems;
+};
+
+/**
+ * Regenerates the Name, Syntax and Parameters fields of a header that don't match the Func signature,
+ * in the format of Insert Function Header. The descriptions of the parameters are kept, matched by
+ * name, or by position for a renamed parameter.
+ * @param {Object} header The parsed header
+ * @param {Object} functionNode The Function node
+ * @param {string[]} lines The lines of the script
+ * @param {string} [paramTemplate] The template of each parameter line
+ * @returns {Array<{line: number, endLine: number, lines: string[]}>} The fields to replace, with the
+ * range of lines each one spans
+ */
+export const getSyncedHeaderFields = (header, functionNode, lines, paramTemplate = '') => {
+  const getPrefix = field => {
+    const text = lines[field.line];
+    return text.slice(0, text.indexOf(':') + 1).concat(' ');
+  };
+  const replaceField = (field, values) => {
+    const prefix = getPrefix(field);
+    const indent = `;${' '.repeat(prefix.length - 1)}`;
+    return {
+      line: field.line,
+      endLine: field.lines.length + field.line - 1,
+      lines: values.map((value, index) => `${index ? indent : prefix}${value}`.trimEnd()),
+    };
+  };
+
+  const problemLines = getHeaderProblems(header, functionNode, paramTemplate).map(
+    ({ line }) => line,
+  );
+  const fields = [];
+  header.fields
+    .filter(field => problemLines.some(line => line >= field.line && line <= field.endLine))
+    .forEach(field => {
+      if (field.key === 'name') fields.push(replaceField(field, [functionNode.name]));
+      if (field.key === 'syntax') fields.push(replaceField(field, [getHeaderSyntax(functionNode)]));
+      if (field.key !== 'parameters') return;
+
+      const params = functionNode.params.filter(param => param.name);
+      const continuation = ' '.repeat(PARAM_NAME_WIDTH + 2);
+      const values = params.flatMap((param, index) => {
+        const documented =
+          header.params.find(
+            candidate => candidate.name.toLowerCase() === param.name.toLowerCase(),
+          ) || (header.params.length === params.length ? header.params[index] : null);
+        if (!documented) return [getParamLine(param, '', paramTemplate)];
+        const [first, ...more] = documented.lines.map(text => splitParamTags(text).text);
+        return [
+          getParamLine(param, first, paramTemplate),
+          ...more.filter(Boolean).map(text => `${continuation}${text}`),
+        ];
+      });
+      fields.push(replaceField(field, values.length ? values : ['None']));
+    });
+
+  return fields;
+};
+
+/**
+ * Creates the header Insert Function Header writes above a Func. Without a template, this is the
+ * header of the standard UDFs, `#INTERNAL_USE_ONLY#` for functions whose name starts with `__`.
+ * Template lines can use the variables `name`, `syntax`, `params`, `author` and `date`; the lines
+ * of `params` after the first are indented to its column.
+ * @param {Object} functionNode The Function node
+ * @param {Object} options The header options
+ * @param {string} options.author The author, `autoit.UDFCreator`
+ * @param {string} [options.date] The date, e.g. `2024-05-31`
+ * @param {string[]} [options.template] The lines of the header template
+ * @param {string} [options.paramTemplate] The template of each parameter line
+ * @returns {string[]} The lines of the header
+ */
+export const createFunctionHeader = (functionNode, options) => {
+  const { author, date = '', paramTemplate = '' } = options;
+  const params = functionNode.params
+    .filter(param => param.name)
+    .map(param => getParamLine(param, '', paramTemplate));
+
+  let { template } = options;
+  if (!template || !template.length) {
+    const kind = functionNode.name.startsWith('__')
+      ? '#INTERNAL_USE_ONLY# '
+      : '#FUNCTION# =========';
+    template = [
+      `; ${kind}${'='.repeat(107)}`,
+      `; Name ..........: \${name}`,
+      '; Description ...:',
+      `; Syntax ........: \${syntax}`,
+      `; Parameters ....: \${params}`,
+      '; Return values .: None',
+      `; Author ........: \${author}`,
+      '; Modified ......:',
+      '; Remarks .......:',
+      '; Related .......:',
+      '; Link ..........:',
+      '; Example .......: No',
+      `; ${'='.repeat(127)}`,
+    ];
+  }
+
+  const variables = {
+    name: functionNode.name,
+    syntax: getHeaderSyntax(functionNode),
+    author,
+    date,
+  };
+  return template.flatMap(templateLine => {
+    const column = templateLine.indexOf(PARAMS_VARIABLE);
+    if (column === -1) return [fillTemplate(templateLine, variables).trimEnd()];
+
+    // the parameters after the first are aligned with it, as comment lines if the line is one
+    const prefix = fillTemplate(templateLine.slice(0, column), variables);
+    const suffix = fillTemplate(templateLine.slice(column + PARAMS_VARIABLE.length), variables);
+    const indent = prefix.match(/^\s*;?/)[0].padEnd(prefix.length);
+    const [first = 'None', ...more] = params;
+    const lines = [`${prefix}${first}`, ...more.map(line => `${indent}${line}`)];
+    lines[lines.length - 1] += suffix;
+    return lines.map(line => line.trimEnd());
+  });
+};
@@ -0,0 +1,179 @@
+import { window, workspace, EndOfLine, Position, Range, TextEdit } from 'vscode';
+import fs from 'fs';
+import path from 'path';
+import { parse } from 'jsonc-parser';
+import { getSyntaxTree } from './parser';
+import {
+  createFunctionHeader,
+  getDocumentedFunctions,
+  getHeaderProblems,
+  getSyncedHeaderFields,
+} from './functionHeader';
+import conf from './ai_config';
+
+const { config } = conf;
+
+// the templates read from each template file, with the file's modification time
+const templateFiles = new Map();
+
+/**
+ * Reads the header templates of the `autoit.functionHeaderTemplateFile` JSON file, which is
+ * relative to the workspace folder of the document unless it is absolute. The file is read again
+ * only when it changes, and a file that can't be read is reported once.
+ * @param {TextDocument} document The document the headers are for
+ * @returns {Object} The `function`, `internal` and `param` templates found in the file
+ */
+const readTemplateFile = document => {
+  const file = config.functionHeaderTemplateFile;
+  if (!file) return {};
+
+  const folder = workspace.getWorkspaceFolder(document.uri);
+  if (!path.isAbsolute(file) && !folder) return {};
+  const filePath = folder ? path.resolve(folder.uri.fsPath, file) : file;
+
+  let mtime = null;
+  try {
+    mtime = fs.statSync(filePath).mtimeMs;
+  } catch (error) {
+    // reported below, as a file that can't be read
+  }
+  const cached = templateFiles.get(filePath);
+  if (cached && cached.mtime === mtime) return cached.templates;
+
+  let templates = null;
+  try {
+    templates = mtime === null ? null : parse(fs.readFileSync(filePath).toString());
+  } catch (error) {
+    templates = null;
+  }
+  if (!templates || typeof templates !== 'object') {
+    window.showErrorMessage(`Unable to read the function header templates from ${filePath}`);
+    templates = {};
+  }
+  templateFiles.set(filePath, { mtime, templates });
+  return templates;
+};
+
+/**
+ * Returns the templates Insert Function Header uses for a document: those of the template file,
+ * then those of the settings. Templates may be written as a list of lines or as one string.
+ * @param {TextDocument} document The document
+ * @returns {{function: string[], internal: string[], param: string}} The templates; empty ones
+ * mean the standard UDF header
+ */
+export const getHeaderTemplates = document => {
+  const fromFile = readTemplateFile(document);
+  const toLines = template => {
+    if (Array.isArray(template)) return template;
+    return typeof template === 'string' && template ? template.split(/\r\n|\r|\n/) : [];
+  };
+  const pick = (key, setting) => {
+    const lines = toLines(fromFile[key]);
+    return lines.length ? lines : toLines(config[setting]);
+  };
+
+  return {
+    function: pick('function', 'functionHeaderTemplate'),
+    internal: pick('internal', 'internalFunctionHeaderTemplate'),
+    param: fromFile.param || config.functionHeaderParamTemplate || '',
+  };
+};
+
+/**
+ * Returns today's date for the `date` variable of the header templates
+ * @returns {string} The date as `YYYY-MM-DD`
+ */
+const getToday = () => {
+  const today = new Date();
+  const pad = number => String(number).padStart(2, '0');
+  return `${today.getFullYear()}-${pad(today.getMonth() + 1)}-${pad(today.getDate())}`;
+};
+
+/**
+ * Creates the edit inserting a function header above a Func, from the templates of the document
+ * @param {TextDocument} document The document
+ * @param {Object} functionNode The Function node
+ * @param {Object} [templates] The templates, read for the document by default
+ * @returns {TextEdit} The edit
+ */
+export const getInsertHeaderEdit = (
+  document,
+  functionNode,
+  templates = getHeaderTemplates(document),
+) => {
+  const eol = document.eol === EndOfLine.CRLF ? '\r\n' : '\n';
+  const header = createFunctionHeader(functionNode, {
+    author: config.UDFCreator || '',
+    date: getToday(),
+    template: functionNode.name.startsWith('__') ? templates.internal : templates.function,
+    paramTemplate: templates.param,
+  });
+  return TextEdit.insert(
+    new Position(functionNode.line, 0),
+    header.map(line => `${line}${eol}`).join(''),
+  );
+};
+
+/**
+ * Creates the edits inserting a header above every Func of a document that has none. A Func right
+ * below a comment is taken as documented, as headers of a custom template can't be recognized.
+ * @param {TextDocument} document The document
+ * @returns {TextEdit[]} The edits, one per undocumented function
+ */
+export const getMissingHeaderEdits = document => {
+  const tree = getSyntaxTree(document);
+  const documented = new Set(getDocumentedFunctions(tree).map(({ functionNode }) => functionNode));
+  const templates = getHeaderTemplates(document);
+  const isBelowComment = ({ line }) =>
+    line > 0 && /^\s*(?:;|#ce\b|#comments-end\b)/i.test(document.lineAt(line - 1).text);
+
+  return tree.functions
+    .filter(
+      functionNode =>
+        functionNode.name && !documented.has(functionNode) && !isBelowComment(functionNode),
+    )
+    .map(functionNode => getInsertHeaderEdit(document, functionNode, templates));
+};
+
+/**
+ * Finds the function headers of a document that don't match the signature of their Func
+ * @param {TextDocument} document The document
+ * @returns {Array<{header: Object, functionNode: Object, problems: Object[]}>} The stale headers,
+ * with their mismatches
+ */
+export const getStaleHeaders = document => {
+  const paramTemplate = getHeaderTemplates(document).param;
+  return getDocumentedFunctions(getSyntaxTree(document))
+    .map(pair => ({
+      ...pair,
+      problems: getHeaderProblems(pair.header, pair.functionNode, paramTemplate),
+    }))
+    .filter(({ problems }) => problems.length);
+};
+
+/**
+ * Creates the edits regenerating the Name, Syntax and Parameters fields of function headers from
+ * their Func signatures, keeping the descriptions of the parameters
+ * @param {TextDocument} document The document
+ * @param {Object[]} [headers] The headers to sync, all headers of the document by default
+ * @returns {TextEdit[]} The edits, one per changed field
+ */
+export const getSyncHeaderEdits = (document, headers) => {
+  const tree = getSyntaxTree(document);
+  const lines = tree.text.split(/\r\n|\r|\n/);
+  const eol = document.eol === EndOfLine.CRLF ? '\r\n' : '\n';
+  const paramTemplate = getHeaderTemplates(document).param;
+
+  return getDocumentedFunctions(tree)
+    .filter(({ header }) => !headers || headers.includes(header))
+    .flatMap(({ header, functionNode }) =>
+      getSyncedHeaderFields(header, functionNode, lines, paramTemplate),
+    )
+    .map(
+      field =>
+        new TextEdit(
+          new Range(field.line, 0, field.endLine, lines[field.endLine].length),
+          field.lines.join(eol),
+        ),
+    );
+};
@@ -0,0 +1,117 @@
+import { EndOfLine, Position, Range, TextEdit } from 'vscode';
+import { getSyntaxTree, TokenType } from './parser';
+import { resolveInclude } from './includeResolver';
+import { getUnusedIncludes } from './ai_diagnostics';
+
+/**
+ * Finds the line after the directives and comments a script starts with, such as
+ * `#include-once` or the `#AutoIt3Wrapper_*` block, where a first `#include` belongs
+ * @param {Object} tree The syntax tree of the script
+ * @returns {number} The line number
+ */
+const getHeaderEnd = tree => {
+  let line = 0;
+  for (const token of tree.tokens) {
+    if (token.type !== TokenType.Directive && token.type !== TokenType.Comment) break;
+    if (token.type === TokenType.Directive && token.name !== 'region') line = token.line + 1;
+  }
+  return line;
+};
+
+/**
+ * Creates the edit adding an `#include` to a script. Library includes are sorted into the existing
+ * `#include <…>` lines, others go after the last `#include`.
+ * @param {TextDocument} document The document
+ * @param {Object} tree The syntax tree of the document
+ * @param {string} file The file to include, e.g. `Array.au3`
+ * @param {boolean} [library=true] Whether to write `#include <file>` rather than `#include "file"`
+ * @returns {TextEdit} The edit inserting the `#include` line
+ */
+export const getAddIncludeEdit = (document, tree, file, library = true) => {
+  const eol = document.eol === EndOfLine.CRLF ? '\r\n' : '\n';
+  const text = library ? `#include <${file}>${eol}` : `#include "${file}"${eol}`;
+  const includes = tree.includes.filter(include => !include.function);
+  const sameKind = includes.filter(include => include.library === library);
+
+  let line;
+  if (sameKind.length) {
+    const next = sameKind.find(include => include.file.toLowerCase() > file.toLowerCase());
+    line = next ? next.line : sameKind[sameKind.length - 1].line + 1;
+  } else if (includes.length) {
+    // library includes come before the script's own
+    line = library ? includes[0].line : includes[includes.length - 1].line + 1;
+  } else {
+    line = getHeaderEnd(tree);
+  }
+
+  return TextEdit.insert(new Position(line, 0), text);
+};
+
+/**
+ * Creates the edits organizing the `#include` lines of a script. The includes at its top are sorted
+ * by file name, library `<…>` includes before the script's own `"…"` ones, and includes that are
+ * duplicates or from which nothing is used are removed everywhere in the script.
+ * @param {TextDocument} document The document
+ * @returns {TextEdit[]} The edits, none if the includes are organized already
+ */
+export const getOrganizeIncludesEdits = document => {
+  const tree = getSyntaxTree(document);
+  const includes = tree.includes.filter(include => !include.function);
+  if (!includes.length) return [];
+
+  const getKey = include => {
+    const includePath = resolveInclude(include.file, include.library, document.fileName);
+    return includePath
+      ? includePath.toLowerCase()
+      : `${include.quote}${include.file.toLowerCase()}`;
+  };
+  // duplicates of an unused include are unused too
+  const seen = new Set(getUnusedIncludes(document).map(getKey));
+  const kept = new Set(
+    includes.filter(include => {
+      const key = getKey(include);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    }),
+  );
+
+  // the block starts at the first include and goes on over includes and blank lines
+  const includeLines = new Set(includes.map(({ line }) => line));
+  const first = includes[0].line;
+  let last = first;
+  for (let line = first + 1; line < document.lineCount; line += 1) {
+    if (includeLines.has(line)) last = line;
+    else if (!document.lineAt(line).isEmptyOrWhitespace) break;
+  }
+
+  const eol = document.eol === EndOfLine.CRLF ? '\r\n' : '\n';
+  const byFile = (a, b) => a.file.toLowerCase().localeCompare(b.file.toLowerCase());
+  const blockText = [true, false]
+    .map(library =>
+      includes
+        .filter(include => include.line <= last && include.library === library && kept.has(include))
+        .sort(byFile)
+        .map(({ line }) => document.lineAt(line).text.trim())
+        .join(eol),
+    )
+    .filter(Boolean)
+    .join(eol + eol);
+
+  const edits = [];
+  const blockRange = new Range(first, 0, last, document.lineAt(last).text.length);
+  if (!blockText) {
+    edits.push(TextEdit.delete(new Range(first, 0, last + 1, 0)));
+  } else if (document.getText(blockRange) !== blockText) {
+    edits.push(TextEdit.replace(blockRange, blockText));
+  }
+  includes
+    .filter(include => include.line > last && !kept.has(include))
+    .forEach(({ line }) =>
+      edits.push(TextEdit.delete(document.lineAt(line).rangeIncludingLineBreak)),
+    );
+
+  return edits;
+};
+
+export default getAddIncludeEdit;
@@ -0,0 +1,277 @@
+import fs from 'fs';
+import path from 'path';
+import conf from './ai_config';
+import { getFileSyntaxTree } from './parser';
+
+const { config } = conf;
+
+// the file names of each folder searched case-insensitively, with the folder's modification time
+const folderEntries = new Map();
+
+/**
+ * Returns the standard AutoIt `Include` folder, next to the AutoIt executable
+ * @returns {string} The folder path, with backslashes
+ */
+export const getStandardIncludeDir = () => {
+  const aiPath = (config.aiPath || '').replace(/[\\/]+/g, '\\');
+  return `${aiPath.slice(0, aiPath.lastIndexOf('\\'))}\\Include`;
+};
+
+/**
+ * Checks if a file is one of the UDFs shipped with AutoIt
+ * @param {string} filePath The full path of the file
+ * @returns {boolean} `true` if the file is in the standard `Include` folder
+ */
+export const isStandardInclude = filePath => {
+  if (!config.aiPath) return false;
+
+  const includeDir = `${getStandardIncludeDir().toLowerCase()}\\`;
+  return filePath
+    .replace(/[\\/]+/g, '\\')
+    .toLowerCase()
+    .startsWith(includeDir);
+};
+
+/**
+ * Converts the backslashes of a path written for Windows to the separator of the platform
+ * @param {string} filePath The path
+ * @returns {string} The path for the file system
+ */
+const toPlatformPath = filePath => (path.sep === '/' ? filePath.replace(/\\/g, '/') : filePath);
+
+/**
+ * Returns the folders searched for an include, in the order AutoIt searches them. `#include "…"`
+ * looks in the folder of the including script, then the user include folders
+ * (`autoit.includePaths`) and then the standard `Include` folder. `#include <…>` searches the user
+ * include folders and the standard `Include` folder first, and the script's folder last.
+ * @param {boolean} library `true` for `#include <file>`, `false` for `#include "file"`
+ * @param {string} [scriptDir] The folder of the including script
+ * @returns {string[]} The folders to search
+ */
+export const getIncludeFolders = (library, scriptDir) => {
+  const standardDir = toPlatformPath(getStandardIncludeDir());
+  const toKey = folder =>
+    path
+      .normalize(folder)
+      .replace(/[\\/]+$/, '')
+      .toLowerCase();
+  const userDirs = config.includePaths
+    .filter(Boolean)
+    .map(toPlatformPath)
+    .filter(folder => toKey(folder) !== toKey(standardDir));
+
+  const folders = library
+    ? [...userDirs, standardDir, scriptDir]
+    : [scriptDir, ...userDirs, standardDir];
+  return folders.filter(Boolean);
+};
+
+/**
+ * Finds an entry of a folder ignoring case, like the Windows file system does
+ * @param {string} folder The folder to search
+ * @param {string} name The file or folder name
+ * @returns {string|null} The name with its actual case, or null if there is no such entry
+ */
+const findEntry = (folder, name) => {
+  let entries;
+  try {
+    const { mtimeMs } = fs.statSync(folder);
+    const cached = folderEntries.get(folder);
+    if (cached && cached.mtime === mtimeMs) {
+      ({ entries } = cached);
+    } else {
+      entries = fs.readdirSync(folder);
+      folderEntries.set(folder, { mtime: mtimeMs, entries });
+    }
+  } catch (error) {
+    return null;
+  }
+
+  const lowerName = name.toLowerCase();
+  return entries.find(entry => entry.toLowerCase() === lowerName) || null;
+};
+
+/**
+ * Looks up a relative path in a folder. Names that differ only in case from the files on disk are
+ * found too, as AutoIt scripts are written for Windows.
+ * @param {string} folder The folder to start from
+ * @param {string} relativePath The path to find, with the separators of the platform
+ * @param {boolean} [directory=false] Whether to find a folder instead of a file
+ * @returns {string|null} The full path of the file, or null if it doesn't exist
+ */
+const findFile = (folder, relativePath, directory = false) => {
+  const exactPath = path.resolve(folder, relativePath);
+  let current = exactPath;
+  if (!fs.existsSync(exactPath)) {
+    current = folder;
+    for (const segment of relativePath.split(path.sep)) {
+      if (segment === '..') current = path.dirname(current);
+      else if (segment && segment !== '.') {
+        const entry = findEntry(current, segment);
+        if (!entry) return null;
+        current = path.join(current, entry);
+      }
+    }
+  }
+
+  try {
+    const stats = fs.statSync(current);
+    return (directory ? stats.isDirectory() : stats.isFile()) ? current : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Finds the file of an `#include` the way AutoIt does, following the order of
+ * `getIncludeFolders`. Both `"…"` and `'…'` are the quoted form, absolute paths are used as they
+ * are and file names are matched regardless of case.
+ * @param {string} file The file named by the include, e.g. `Array.au3` or `..\lib\Tools.au3`
+ * @param {boolean} library `true` for `#include <file>`
+ * @param {string} [scriptPath] The full path of the including script
+ * @returns {string|null} The full path of the included file, or null if it can't be found
+ */
+export const resolveInclude = (file, library, scriptPath) => {
+  const target = toPlatformPath(file.trim());
+  if (!target) return null;
+
+  if (path.isAbsolute(target)) {
+    const { root } = path.parse(target);
+    return findFile(root, path.relative(root, target));
+  }
+
+  const folders = getIncludeFolders(library, scriptPath && path.dirname(scriptPath));
+  for (const folder of folders) {
+    const found = findFile(folder, target);
+    if (found) return found;
+  }
+  return null;
+};
+
+/**
+ * Lists the scripts and folders an `#include` being typed can continue with. `#include <…>` lists
+ * the user include folders and the standard `Include` folder, `#include "…"` the folder of the
+ * script. The folder part typed so far, e.g. `..\lib\`, is looked up in each of them.
+ * @param {string} typed The path typed after the opening quote, up to its last separator
+ * @param {boolean} library `true` for `#include <file>`
+ * @param {string} [scriptPath] The full path of the including script
+ * @returns {Array<{name: string, directory: boolean, filePath: string}>} The entries, folders
+ * first, each name once in the order the folders are searched
+ */
+export const listIncludeEntries = (typed, library, scriptPath) => {
+  const scriptDir = scriptPath && path.isAbsolute(scriptPath) ? path.dirname(scriptPath) : null;
+  const folders = library ? getIncludeFolders(true) : [scriptDir].filter(Boolean);
+  const entries = new Map();
+
+  folders.forEach(folder => {
+    const searched = findFile(folder, toPlatformPath(typed || '.'), true);
+    if (!searched) return;
+    let dirents;
+    try {
+      dirents = fs.readdirSync(searched, { withFileTypes: true });
+    } catch (error) {
+      return;
+    }
+    dirents.forEach(dirent => {
+      const directory = dirent.isDirectory();
+      const key = dirent.name.toLowerCase();
+      if (entries.has(key) || (!directory && !/\.au3$/i.test(dirent.name))) return;
+      entries.set(key, {
+        name: dirent.name,
+        directory,
+        filePath: path.join(searched, dirent.name),
+      });
+    });
+  });
+
+  return [...entries.values()].sort(
+    (a, b) => Number(b.directory) - Number(a.directory) || a.name.localeCompare(b.name),
+  );
+};
+
+/**
+ * Returns the scripts included by a script, directly or through the scripts it includes. Each
+ * `#include` is resolved from the folder of the script it is written in.
+ * @param {string} scriptPath The full path of the script
+ * @param {Object} tree The syntax tree of the script
+ * @param {Function} [getTree] Returns the syntax tree of an included script from its full path
+ * @returns {string[]} The full paths of the included scripts, in the order they are included
+ */
+export const getIncludedScripts = (scriptPath, tree, getTree = getFileSyntaxTree) => {
+  const scripts = [];
+  const seen = new Set([scriptPath.toLowerCase()]);
+
+  const visit = (includingPath, includingTree) => {
+    includingTree.includes.forEach(({ file, library }) => {
+      const includePath = resolveInclude(file, library, includingPath);
+      if (!includePath || seen.has(includePath.toLowerCase())) return;
+
+      seen.add(includePath.toLowerCase());
+      scripts.push(includePath);
+      const includeTree = getTree(includePath);
+      if (includeTree) visit(includePath, includeTree);
+    });
+  };
+  visit(scriptPath, tree);
+
+  return scripts;
+};
+
+/**
+ * Counts the edits needed to turn one string into another (the Levenshtein distance)
+ * @param {string} a The first string
+ * @param {string} b The second string
+ * @returns {number} The number of inserted, deleted or replaced characters
+ */
+export const getEditDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+/**
+ * Suggests the files an unresolved `#include` may have meant: the scripts with the closest names in
+ * the folders the include is searched in
+ * @param {string} file The file named by the include
+ * @param {boolean} library `true` for `#include <file>`
+ * @param {string} [scriptPath] The full path of the including script
+ * @param {number} [limit=3] The maximum number of suggestions
+ * @returns {string[]} The suggested file names, written like `file` with its folder part kept
+ */
+export const findSimilarIncludes = (file, library, scriptPath, limit = 3) => {
+  const target = file.trim().replace(/\//g, '\\');
+  const separator = target.lastIndexOf('\\') + 1;
+  const folderPart = target.slice(0, separator);
+  const lowerName = target.slice(separator).toLowerCase();
+  const maxDistance = Math.max(2, Math.floor(lowerName.length / 3));
+
+  const candidates = new Map();
+  getIncludeFolders(library, scriptPath && path.dirname(scriptPath)).forEach(folder => {
+    const searched = findFile(folder, toPlatformPath(folderPart || '.'), true);
+    if (!searched) return;
+    let entries;
+    try {
+      entries = fs.readdirSync(searched);
+    } catch (error) {
+      return;
+    }
+    entries
+      .filter(entry => /\.au3$/i.test(entry) && !candidates.has(entry.toLowerCase()))
+      .forEach(entry => {
+        const distance = getEditDistance(lowerName, entry.toLowerCase());
+        if (distance <= maxDistance) candidates.set(entry.toLowerCase(), { entry, distance });
+      });
+  });
+
+  return [...candidates.values()]
+    .sort((a, b) => a.distance - b.distance || a.entry.localeCompare(b.entry))
+    .slice(0, limit)
+    .map(({ entry }) => folderPart + entry);
+};
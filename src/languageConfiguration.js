@@ -1,7 +1,7 @@
 const languageConfiguration = {
   indentationRules: {
-    increaseIndentPattern: /^\s*(For|Func|If|ElseIf|Else|Select|While|Case|Switch|With)\b/i,
-    decreaseIndentPattern: /^\s*(Next|EndFunc|EndIf|ElseIf|Else|EndSelect|EndSwitch|WEnd|EndWith)\b/i,
+    increaseIndentPattern: /^\s*(For|Func|If|ElseIf|Else|Select|While|Do|Case|Switch|With)\b/i,
+    decreaseIndentPattern: /^\s*(Next|EndFunc|EndIf|ElseIf|Else|EndSelect|EndSwitch|WEnd|Until|EndWith)\b/i,
     unIndentedLinePattern: /^\s*((;|#include).*)?$/,
   },
 };
@@ -0,0 +1,239 @@
+import { TokenType, isKeyword, isSymbol } from './tokenizer';
+import { findClosingBracket } from './parser';
+import { getDeclarations, getGlobalDeclarations, findDeclaration } from './scope';
+
+/**
+ * The scope checks, with the Au3Check `-w` switch each one mirrors where there is one
+ */
+export const SCOPE_CHECKS = {
+  undeclared: null,
+  unusedLocal: 5,
+  shadowedGlobal: 3,
+  constAssignment: null,
+  dim: 6,
+  localInGlobalScope: 4,
+};
+
+const ASSIGNMENT_OPERATORS = ['=', '+=', '-=', '*=', '/=', '&='];
+const BUILT_IN_VARIABLES = ['$cmdline', '$cmdlineraw'];
+// functions that can read or write variables by name
+const DYNAMIC_FUNCTIONS = ['assign', 'eval', 'execute', 'isdeclared'];
+
+/**
+ * Checks if the variable at `index` is assigned by the statement, as in `$x = 1` or `$a[0] += 1`
+ * @param {Object[]} tokens The tokens of the statement
+ * @param {number} index The index of the variable token
+ * @returns {{token: Object, indexed: boolean}|null} The assigned variable
+ */
+const getAssignmentTarget = (tokens, index) => {
+  const token = tokens[index];
+  if (!token || token.type !== TokenType.Variable) return null;
+
+  let next = index + 1;
+  while (isSymbol(tokens[next], '[')) {
+    const close = findClosingBracket(tokens, next);
+    if (close === -1) return null;
+    next = close + 1;
+  }
+  if (!ASSIGNMENT_OPERATORS.some(operator => isSymbol(tokens[next], operator))) return null;
+  return { token, indexed: next > index + 1 };
+};
+
+/**
+ * Finds the variables assigned in a script: the targets of assignment statements, including the
+ * code after `Then` in a single line If, and the variables of For loops (flagged `isLoop`)
+ * @param {Object} tree The Script node
+ * @returns {Array<{token: Object, indexed: boolean, isLoop: boolean, function: Object|null}>} The
+ * assignments
+ */
+export const getAssignments = tree => {
+  if (tree.scopeAssignments) return tree.scopeAssignments;
+
+  const assignments = [];
+  const add = (statement, target) => {
+    if (target) assignments.push({ isLoop: false, ...target, function: statement.function });
+  };
+
+  tree.blocks.forEach(block => {
+    const { tokens } = block;
+    if (block.kind !== 'For') return;
+    if (isKeyword(tokens[2], 'in') && tokens[1].type === TokenType.Variable) {
+      add(block, { token: tokens[1], indexed: false, isLoop: true });
+    } else {
+      const target = getAssignmentTarget(tokens, 1);
+      add(block, target && { ...target, isLoop: true });
+    }
+  });
+
+  const visit = node => {
+    node.body.forEach(statement => {
+      if (statement.type === 'Expression') {
+        add(statement, getAssignmentTarget(statement.tokens, 0));
+      } else if (statement.type === 'If') {
+        const thenIndex = statement.tokens.findIndex(token => isKeyword(token, 'then'));
+        add(statement, getAssignmentTarget(statement.tokens, thenIndex + 1));
+      }
+      if (statement.body) visit(statement);
+      if (statement.branches) statement.branches.forEach(visit);
+    });
+  };
+  visit(tree);
+
+  assignments.sort((a, b) => a.token.start - b.token.start);
+  tree.scopeAssignments = assignments;
+  return assignments;
+};
+
+/**
+ * Returns the names a script makes available to every Func: its Global declarations and the
+ * variables assigned outside of Funcs
+ * @param {Object} tree The Script node
+ * @returns {Map<string, {isConst: boolean}>} The global names in lowercase
+ */
+export const getGlobalNames = tree => {
+  const names = new Map();
+  getAssignments(tree).forEach(({ token, indexed, function: fn }) => {
+    if (!fn && !indexed) names.set(token.value.toLowerCase(), { isConst: false });
+  });
+  getGlobalDeclarations(tree).forEach(({ name, isConst, isEnum }) =>
+    names.set(name.toLowerCase(), { isConst: isConst || isEnum }),
+  );
+  return names;
+};
+
+/**
+ * Analyzes the variable scopes of a script, reporting the problems Au3Check warns about.
+ *
+ * Variables are resolved like AutoIt does: Locals and parameters of the enclosing Func first,
+ * then Globals of the script and of `knownGlobals`. A variable assigned without a declaration is
+ * implicitly declared in its scope, unless `mustDeclare` is set (`Opt("MustDeclareVars", 1)`).
+ * @param {Object} tree The Script node
+ * @param {Object} options The analysis options
+ * @param {Set<string>} options.checks The names of the `SCOPE_CHECKS` to run
+ * @param {Map<string, {isConst: boolean}>} [options.knownGlobals] Global names from included scripts
+ * @param {Set<string>} [options.ignore] Lowercase names that are never reported as undeclared
+ * @param {boolean} [options.mustDeclare=false] Whether variables must be declared before use
+ * @returns {Array<{check: string, token: Object, message: string, severity: string}>} The problems
+ * found, with a severity of `error` or `warning`
+ */
+export const analyzeScopes = (
+  tree,
+  { checks, knownGlobals = new Map(), ignore = new Set(), mustDeclare = false },
+) => {
+  const problems = [];
+  const report = (check, token, message, severity = 'warning') => {
+    if (checks.has(check)) problems.push({ check, token, message, severity });
+  };
+
+  const declarations = getDeclarations(tree);
+  const declarationTokens = new Set(declarations.map(({ token }) => token));
+  const assignments = getAssignments(tree);
+  const globalNames = new Map([...knownGlobals, ...getGlobalNames(tree)]);
+
+  tree.declarations.forEach(statement => {
+    const scopeToken = statement.tokens.find(token => isKeyword(token, statement.scope));
+    if (statement.scope === 'dim') {
+      report(
+        'dim',
+        scopeToken,
+        'Dim should not be used, declare the variable with Local or Global',
+      );
+    }
+    if (statement.scope === 'local' && !statement.function) {
+      report(
+        'localInGlobalScope',
+        scopeToken,
+        'A Local declared outside of a Func is Global, use Global instead',
+      );
+    }
+  });
+
+  // count the uses of each variable per Func
+  const functions = tree.functions.filter(fn => fn.name);
+  const uses = new Map(functions.map(fn => [fn, new Map()]));
+  const dynamicFunctions = new Set();
+  const variables = [];
+  let functionIndex = 0;
+  tree.tokens.forEach(token => {
+    const isVariable = token.type === TokenType.Variable && token.value.length > 1;
+    if (!isVariable && token.type !== TokenType.Identifier) return;
+    // tokens are in document order, so the containing function only moves forward
+    while (functionIndex < functions.length && functions[functionIndex].end < token.start) {
+      functionIndex += 1;
+    }
+    const candidate = functions[functionIndex];
+    const fn = candidate && candidate.start <= token.start ? candidate : null;
+    const name = token.value.toLowerCase();
+
+    if (!isVariable) {
+      if (fn && DYNAMIC_FUNCTIONS.includes(name)) dynamicFunctions.add(fn);
+      return;
+    }
+    variables.push({ token, fn });
+    if (fn && !declarationTokens.has(token))
+      uses.get(fn).set(name, (uses.get(fn).get(name) || 0) + 1);
+  });
+
+  declarations.forEach(({ name, token, scope, function: fn }) => {
+    if (scope !== 'local') return;
+    const lowerName = name.toLowerCase();
+    if (globalNames.has(lowerName)) {
+      report('shadowedGlobal', token, `${name}: Local declaration hides the Global ${name}`);
+    }
+    const functionUses = uses.get(fn);
+    if (functionUses && !functionUses.get(lowerName) && !dynamicFunctions.has(fn)) {
+      report('unusedLocal', token, `${name}: declared, but not used in Func ${fn.name}`);
+    }
+  });
+
+  assignments.forEach(({ token, function: fn }) => {
+    const declaration = findDeclaration(tree, token.value, fn);
+    const global = !declaration && fn && globalNames.get(token.value.toLowerCase());
+    const isConst = declaration
+      ? declaration.isConst || declaration.isEnum
+      : global && global.isConst;
+    if (isConst) {
+      report(
+        'constAssignment',
+        token,
+        `${token.value}: Const can't be assigned a new value`,
+        'error',
+      );
+    }
+  });
+
+  // the first plain assignment of each undeclared variable in each scope declares it
+  const firstAssignments = new Map();
+  assignments.forEach(assignment => {
+    const { token, indexed, function: fn } = assignment;
+    const key = `${fn ? fn.start : ''}|${token.value.toLowerCase()}`;
+    if (!indexed && !firstAssignments.has(key)) firstAssignments.set(key, assignment);
+  });
+
+  const reported = new Set();
+  variables.forEach(({ token, fn }) => {
+    const lowerName = token.value.toLowerCase();
+    if (BUILT_IN_VARIABLES.includes(lowerName) || ignore.has(lowerName)) return;
+    if (declarationTokens.has(token) || findDeclaration(tree, token.value, fn)) return;
+    if (knownGlobals.has(lowerName) || (fn && globalNames.has(lowerName))) return;
+
+    const key = `${fn ? fn.start : ''}|${lowerName}`;
+    if (reported.has(key)) return;
+
+    const firstAssignment = firstAssignments.get(key);
+    let message = null;
+    // For loops declare their variable even with MustDeclareVars
+    const declaresBefore = firstAssignment && firstAssignment.token.start <= token.start;
+    if (!firstAssignment || (mustDeclare && !(declaresBefore && firstAssignment.isLoop))) {
+      message = `${token.value}: undeclared variable`;
+    } else if (!declaresBefore) {
+      message = `${token.value}: possibly used before declaration`;
+    }
+    if (!message) return;
+
+    reported.add(key);
+    report('undeclared', token, message);
+  });
+
+  return problems;
+};
@@ -0,0 +1,45 @@
+import { TokenType } from './tokenizer';
+
+/**
+ * Built-in and UDF functions that take the name of a function as a string,
+ * mapped to the index of that argument
+ */
+export const CALLBACK_FUNCTIONS = {
+  adlibregister: 0,
+  adlibunregister: 0,
+  call: 0,
+  dllcallbackregister: 0,
+  guictrlsetonevent: 1,
+  guiregistermsg: 1,
+  guisetonevent: 1,
+  hotkeyset: 1,
+  onautoitexitregister: 0,
+  onautoitexitunregister: 0,
+  trayitemsetonevent: 1,
+  traysetonevent: 1,
+  _timer_settimer: 2,
+};
+
+/**
+ * Returns the function name passed as a callback in a call, if any
+ * @param {Object} call The Call node
+ * @returns {Object|null} The string token holding the function name
+ */
+export const getCallbackToken = call => {
+  const index = CALLBACK_FUNCTIONS[call.name.toLowerCase()];
+  if (index === undefined || call.member) return null;
+
+  const arg = call.args[index];
+  if (!arg || arg.tokens.length !== 1) return null;
+
+  const [token] = arg.tokens;
+  if (token.type !== TokenType.String || !token.terminated) return null;
+  return /^\w+$/.test(token.value.slice(1, -1)) ? token : null;
+};
+
+/**
+ * Returns the name held by a callback string token
+ * @param {Object} token The string token
+ * @returns {string} The name without quotes
+ */
+export const getCallbackName = token => token.value.slice(1, -1);
@@ -0,0 +1,209 @@
+import fs from 'fs';
+import { parse } from './parser';
+import { TokenType, isComment } from './tokenizer';
+
+export { parse } from './parser';
+export {
+  tokenize,
+  lineAtOffset,
+  TokenType,
+  KEYWORDS,
+  isComment,
+  isKeyword,
+  isSymbol,
+} from './tokenizer';
+export { getDeclarations, getGlobalDeclarations, findDeclaration } from './scope';
+export { CALLBACK_FUNCTIONS, getCallbackToken, getCallbackName } from './callbacks';
+export { SCOPE_CHECKS, analyzeScopes, getAssignments, getGlobalNames } from './analyzer';
+
+const MAX_CACHED_TREES = 50;
+const documentTrees = new Map();
+const fileTrees = new Map();
+
+/**
+ * Stores a value in a Map used as a small LRU cache
+ * @param {Map} cache The cache
+ * @param {string} key The key to store the value under
+ * @param {*} value The value to store
+ */
+const remember = (cache, key, value) => {
+  cache.delete(key);
+  cache.set(key, value);
+  if (cache.size > MAX_CACHED_TREES) cache.delete(cache.keys().next().value);
+};
+
+/**
+ * Returns the syntax tree for a TextDocument, parsing it only when its version changed
+ * @param {TextDocument} document The document to parse
+ * @returns {Object} The Script node of the document
+ */
+export const getSyntaxTree = document => {
+  const key = document.uri.toString();
+  const cached = documentTrees.get(key);
+  if (cached && cached.version === document.version) return cached.tree;
+
+  const tree = parse(document.getText());
+  remember(documentTrees, key, { version: document.version, tree });
+  return tree;
+};
+
+/**
+ * Returns the syntax tree of a script on disk, parsing it only when the file was modified
+ * @param {string} filePath The full path of the script
+ * @returns {Object|null} The Script node, or null if the file can't be read
+ */
+export const getFileSyntaxTree = filePath => {
+  let stats;
+  try {
+    stats = fs.statSync(filePath);
+  } catch (error) {
+    return null;
+  }
+
+  const cached = fileTrees.get(filePath);
+  if (cached && cached.mtime === stats.mtimeMs && cached.size === stats.size) return cached.tree;
+
+  const tree = parse(fs.readFileSync(filePath).toString());
+  remember(fileTrees, filePath, { mtime: stats.mtimeMs, size: stats.size, tree });
+  return tree;
+};
+
+/**
+ * Removes the cached syntax tree of a document
+ * @param {TextDocument} document The closed document
+ */
+export const forgetDocument = document => {
+  documentTrees.delete(document.uri.toString());
+};
+
+/**
+ * Finds the token at an offset. A token "contains" the offset at its end, so the token just
+ * before the cursor is returned when typing.
+ * @param {Object} tree The Script node
+ * @param {number} offset The offset to look up
+ * @returns {Object|null} The token or null
+ */
+export const getTokenAt = (tree, offset) => {
+  const { tokens } = tree;
+  let low = 0;
+  let high = tokens.length - 1;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    const token = tokens[mid];
+    if (token.end < offset) low = mid + 1;
+    else if (token.start > offset) high = mid - 1;
+    else {
+      // prefer the token starting at the offset over the one ending there
+      const next = tokens[mid + 1];
+      if (token.end === offset && next && next.start === offset) return next;
+      return token;
+    }
+  }
+  return null;
+};
+
+/**
+ * Checks whether an offset is inside a string or comment
+ * @param {Object} tree The Script node
+ * @param {number} offset The offset to check
+ * @returns {boolean} `true` if code features should ignore the offset
+ */
+export const isInStringOrComment = (tree, offset) => {
+  const token = getTokenAt(tree, offset);
+  if (!token || offset === token.start) return false;
+  if (isComment(token)) return true;
+  if (token.type === TokenType.String) return offset < token.end || !token.terminated;
+  return false;
+};
+
+/**
+ * Finds the function containing an offset
+ * @param {Object} tree The Script node
+ * @param {number} offset The offset to look up
+ * @returns {Object|null} The Function node or null when at global scope
+ */
+export const getFunctionAt = (tree, offset) =>
+  tree.functions.find(fn => fn.start <= offset && offset <= fn.end) || null;
+
+/**
+ * Calls `visitor` for every statement in the tree, depth first
+ * @param {Object} node The node to start from, usually the Script node
+ * @param {Function} visitor Called with each statement node
+ */
+export const walk = (node, visitor) => {
+  const children = [...(node.body || []), ...(node.branches || [])];
+  for (const child of children) {
+    visitor(child);
+    walk(child, visitor);
+  }
+};
+
+/**
+ * Returns all statements of the tree in document order
+ * @param {Object} tree The Script node
+ * @returns {Object[]} The statement nodes
+ */
+export const getStatements = tree => {
+  const statements = [];
+  walk(tree, node => statements.push(node));
+  return statements.sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Returns every function call in the tree, including calls nested in arguments
+ * @param {Object} tree The Script node
+ * @returns {Object[]} The Call nodes in document order
+ */
+export const getCalls = tree => {
+  if (!tree.allCalls) {
+    tree.allCalls = getStatements(tree).flatMap(statement => statement.calls);
+  }
+  return tree.allCalls;
+};
+
+/**
+ * Finds the statement that contains an offset
+ * @param {Object} tree The Script node
+ * @param {number} offset The offset to look up
+ * @returns {Object|null} The innermost statement whose own lines span the offset
+ */
+export const getStatementAt = (tree, offset) => {
+  let found = null;
+  walk(tree, node => {
+    const { tokens } = node;
+    if (tokens && tokens[0].start <= offset && offset <= node.lineEnd) found = node;
+  });
+  return found;
+};
+
+/**
+ * Finds the innermost function call whose parentheses contain an offset
+ * @param {Object} tree The Script node
+ * @param {number} offset The offset to look up
+ * @returns {{call: Object, argumentIndex: number}|null} The call and the index of the argument at the offset
+ */
+export const getCallAt = (tree, offset) => {
+  const statement = getStatementAt(tree, offset);
+  if (!statement) return null;
+
+  let found = null;
+  for (const call of statement.calls) {
+    const inside = call.open.end <= offset && (call.close ? offset <= call.close.start : true);
+    if (inside && (!found || call.open.start > found.open.start)) found = call;
+  }
+  if (!found) return null;
+
+  let argumentIndex = found.args.findIndex(arg => arg.start <= offset && offset <= arg.end);
+  if (argumentIndex === -1) argumentIndex = found.args.length - 1;
+  return { call: found, argumentIndex };
+};
+
+/**
+ * Returns the variable and identifier tokens used as code (not in strings or comments)
+ * @param {Object} tree The Script node
+ * @returns {Object[]} The tokens
+ */
+export const getNameTokens = tree =>
+  tree.tokens.filter(
+    token => token.type === TokenType.Variable || token.type === TokenType.Identifier,
+  );
@@ -0,0 +1,556 @@
+import { tokenize, lineAtOffset, TokenType, isComment, isKeyword, isSymbol } from './tokenizer';
+
+/**
+ * Keywords that open a block, mapped to the keyword(s) that close it
+ */
+const BLOCK_END = {
+  if: 'endif',
+  for: 'next',
+  while: 'wend',
+  do: 'until',
+  select: 'endselect',
+  switch: 'endswitch',
+  with: 'endwith',
+};
+
+const BLOCK_NAMES = {
+  if: 'If',
+  for: 'For',
+  while: 'While',
+  do: 'Do',
+  select: 'Select',
+  switch: 'Switch',
+  with: 'With',
+};
+
+const END_KEYWORDS = Object.values(BLOCK_END);
+
+const END_KEYWORDS_OPEN = Object.keys(BLOCK_END).reduce((obj, key) => {
+  obj[BLOCK_END[key]] = key;
+  return obj;
+}, {});
+
+const BRANCH_NAMES = { elseif: 'ElseIf', else: 'Else', case: 'Case' };
+
+const DECLARATION_KEYWORDS = ['local', 'global', 'dim', 'static', 'const', 'enum'];
+
+/**
+ * Splits a list of tokens on the newline tokens, dropping comments
+ * @param {Object[]} tokens The tokens of the script
+ * @param {number} length The length of the script text
+ * @returns {Object[]} The tokens of each statement and the offset of the line break ending it
+ */
+const splitStatements = (tokens, length) => {
+  const statements = [];
+  let current = [];
+  for (const token of tokens) {
+    if (token.type === TokenType.NewLine) {
+      if (current.length) statements.push({ tokens: current, lineEnd: token.start });
+      current = [];
+    } else if (!isComment(token) && token.type !== TokenType.Continuation) {
+      current.push(token);
+    }
+  }
+  if (current.length) statements.push({ tokens: current, lineEnd: length });
+  return statements;
+};
+
+/**
+ * Finds the index of the token closing the bracket opened at `openIndex`
+ * @param {Object[]} tokens The tokens of a statement
+ * @param {number} openIndex The index of the opening `(` or `[`
+ * @returns {number} The index of the closing token, or -1 if it is not closed in this statement
+ */
+export const findClosingBracket = (tokens, openIndex) => {
+  let depth = 0;
+  for (let i = openIndex; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token.type !== TokenType.Punctuation) continue;
+    if (token.value === '(' || token.value === '[') depth += 1;
+    else if (token.value === ')' || token.value === ']') {
+      depth -= 1;
+      if (depth === 0) return i;
+    }
+  }
+  return -1;
+};
+
+/**
+ * Splits the tokens between `from` and `to` into comma separated parts, respecting nesting
+ * @param {Object[]} tokens The tokens of a statement
+ * @param {number} from The index of the first token
+ * @param {number} to The index after the last token
+ * @returns {Object[][]} The token lists of each part
+ */
+const splitOnCommas = (tokens, from, to) => {
+  const parts = [[]];
+  let depth = 0;
+  for (let i = from; i < to; i++) {
+    const token = tokens[i];
+    if (token.type === TokenType.Punctuation) {
+      if (token.value === '(' || token.value === '[') depth += 1;
+      else if (token.value === ')' || token.value === ']') depth -= 1;
+      else if (token.value === ',' && depth === 0) {
+        parts.push([]);
+        continue;
+      }
+    }
+    parts[parts.length - 1].push(token);
+  }
+  return parts;
+};
+
+/**
+ * Finds all function calls within the tokens of a statement, including nested calls.
+ *
+ * Each argument records its offsets: `start` is the end of the preceding `(` or `,` and `end` is
+ * the start of the following `,` or `)`, so an empty argument still has a position.
+ * @param {Object[]} tokens The tokens of the statement
+ * @param {number} statementEnd The offset where the statement ends
+ * @returns {Object[]} The Call nodes, in order of their opening parenthesis
+ */
+const parseCalls = (tokens, statementEnd) => {
+  const calls = [];
+  for (let i = 0; i < tokens.length - 1; i++) {
+    const nameToken = tokens[i];
+    const open = tokens[i + 1];
+    if (!isSymbol(open, '(')) continue;
+    if (nameToken.type !== TokenType.Identifier) continue;
+    const previous = tokens[i - 1];
+    if (isKeyword(previous, 'func')) continue;
+
+    const closeIndex = findClosingBracket(tokens, i + 1);
+    const close = closeIndex === -1 ? null : tokens[closeIndex];
+    const argsEnd = closeIndex === -1 ? tokens.length : closeIndex;
+    const args = [];
+    let argStart = open.end;
+    let depth = 0;
+    let argTokens = [];
+    for (let j = i + 2; j < argsEnd; j++) {
+      const token = tokens[j];
+      if (token.type === TokenType.Punctuation) {
+        if (token.value === '(' || token.value === '[') depth += 1;
+        else if (token.value === ')' || token.value === ']') depth -= 1;
+        else if (token.value === ',' && depth === 0) {
+          args.push({ start: argStart, end: token.start, tokens: argTokens });
+          argStart = token.end;
+          argTokens = [];
+          continue;
+        }
+      }
+      argTokens.push(token);
+    }
+    args.push({ start: argStart, end: close ? close.start : statementEnd, tokens: argTokens });
+
+    calls.push({
+      type: 'Call',
+      name: nameToken.value,
+      nameToken,
+      member: isSymbol(previous, '.'),
+      open,
+      close,
+      args,
+      start: nameToken.start,
+      end: close ? close.end : statementEnd,
+    });
+  }
+  return calls;
+};
+
+/**
+ * Parses the parameter list of a Func declaration
+ * @param {Object[]} tokens The tokens of the Func statement
+ * @param {number} openIndex The index of the opening parenthesis
+ * @param {number} closeIndex The index of the closing parenthesis
+ * @param {string} text The script text
+ * @returns {Object[]} The Parameter nodes
+ */
+const parseParameters = (tokens, openIndex, closeIndex, text) => {
+  const parts = splitOnCommas(tokens, openIndex + 1, closeIndex);
+  return parts
+    .filter(part => part.length)
+    .map(part => {
+      let index = 0;
+      let byRef = false;
+      let isConst = false;
+      while (isKeyword(part[index], 'byref', 'const')) {
+        if (isKeyword(part[index], 'byref')) byRef = true;
+        else isConst = true;
+        index += 1;
+      }
+      const token = part[index];
+      const equals = part.findIndex(t => isSymbol(t, '='));
+      const defaultValue =
+        equals === -1 || equals === part.length - 1
+          ? null
+          : text.slice(part[equals + 1].start, part[part.length - 1].end);
+      return {
+        type: 'Parameter',
+        name: token && token.type === TokenType.Variable ? token.value : '',
+        token,
+        byRef,
+        isConst,
+        isArray: isSymbol(part[index + 1], '['),
+        optional: equals !== -1,
+        defaultValue,
+        text: text.slice(part[0].start, part[part.length - 1].end),
+        start: part[0].start,
+        end: part[part.length - 1].end,
+      };
+    });
+};
+
+/**
+ * Parses the declarators of a Local/Global/Dim/Static/Const/Enum statement
+ * @param {Object[]} tokens The tokens of the statement
+ * @param {number} from The index of the first token after the declaration keywords
+ * @param {string} text The script text
+ * @returns {Object[]} The Declarator nodes
+ */
+const parseDeclarators = (tokens, from, text) => {
+  return splitOnCommas(tokens, from, tokens.length)
+    .filter(part => part.length && part[0].type === TokenType.Variable)
+    .map(part => {
+      const token = part[0];
+      const equals = part.findIndex(t => isSymbol(t, '='));
+      const init =
+        equals === -1 || equals === part.length - 1
+          ? null
+          : {
+              start: part[equals + 1].start,
+              end: part[part.length - 1].end,
+              text: text.slice(part[equals + 1].start, part[part.length - 1].end),
+            };
+      return {
+        type: 'Declarator',
+        name: token.value,
+        token,
+        isArray: isSymbol(part[1], '['),
+        init,
+      };
+    });
+};
+
+/**
+ * Creates the common properties of a statement node
+ * @param {string} type The node type
+ * @param {Object[]} tokens The tokens of the statement
+ * @param {Object} context Parser context
+ * @returns {Object} A node with positions, tokens, calls and references
+ */
+const createStatement = (type, tokens, context) => {
+  const first = tokens[0];
+  const last = tokens[tokens.length - 1];
+  return {
+    type,
+    tokens,
+    start: first.start,
+    end: last.end,
+    line: first.line,
+    endLine: lineAtOffset(context.lineStarts, last.end),
+    lineEnd: context.lineEnd,
+    calls: parseCalls(tokens, context.lineEnd),
+  };
+};
+
+/**
+ * Parses a Func statement
+ * @param {Object[]} tokens The tokens of the statement
+ * @param {Object} context Parser context
+ * @returns {Object} The Function node
+ */
+const parseFunction = (tokens, context) => {
+  const node = createStatement('Function', tokens, context);
+  let index = 0;
+  node.volatile = isKeyword(tokens[0], 'volatile');
+  if (node.volatile) index += 1;
+  index += 1; // Func
+
+  const nameToken = tokens[index];
+  node.nameToken = nameToken && nameToken.type === TokenType.Identifier ? nameToken : null;
+  node.name = node.nameToken ? nameToken.value : '';
+
+  const openIndex = index + 1;
+  let closeIndex = -1;
+  if (isSymbol(tokens[openIndex], '(')) closeIndex = findClosingBracket(tokens, openIndex);
+  const paramsEnd = closeIndex === -1 ? tokens.length : closeIndex;
+  node.params = isSymbol(tokens[openIndex], '(')
+    ? parseParameters(tokens, openIndex, paramsEnd, context.text)
+    : [];
+  node.paramsText = isSymbol(tokens[openIndex], '(')
+    ? context.text.slice(
+        tokens[openIndex].end,
+        paramsEnd < tokens.length ? tokens[paramsEnd].start : node.end,
+      )
+    : '';
+  node.label = node.nameToken
+    ? context.text.slice(nameToken.start, closeIndex === -1 ? node.end : tokens[closeIndex].end)
+    : '';
+  node.body = [];
+  node.closed = false;
+  return node;
+};
+
+/**
+ * Parses a variable declaration statement
+ * @param {Object[]} tokens The tokens of the statement
+ * @param {Object} context Parser context
+ * @returns {Object} The VariableDeclaration node
+ */
+const parseDeclaration = (tokens, context) => {
+  const node = createStatement('VariableDeclaration', tokens, context);
+  node.scope = null;
+  node.isConst = false;
+  node.isStatic = false;
+  node.isEnum = false;
+
+  let index = 0;
+  while (isKeyword(tokens[index], ...DECLARATION_KEYWORDS)) {
+    const keyword = tokens[index].value.toLowerCase();
+    if (keyword === 'const') node.isConst = true;
+    else if (keyword === 'static') node.isStatic = true;
+    else if (keyword === 'enum') node.isEnum = true;
+    else node.scope = keyword;
+    index += 1;
+    if (node.isEnum && isKeyword(tokens[index], 'step')) {
+      // Enum Step [+-*]n
+      index += 1;
+      if (tokens[index] && tokens[index].type === TokenType.Operator) index += 1;
+      index += 1;
+    }
+  }
+  node.declarators = parseDeclarators(tokens, index, context.text);
+  return node;
+};
+
+/**
+ * Parses a directive line such as `#include` or `#Region`
+ * @param {Object} token The directive token
+ * @param {Object} context Parser context
+ * @returns {Object} The Directive or Include node
+ */
+const parseDirective = (token, context) => {
+  const node = createStatement('Directive', [token], context);
+  node.name = token.name;
+  node.argument = token.argument;
+
+  if (token.name === 'include') {
+    const [, open, file] = token.argument.match(/^([<"'])(.*?)[>"']?$/) || [];
+    node.type = 'Include';
+    node.file = file || '';
+    node.library = open === '<';
+    node.quote = open || '';
+  }
+  return node;
+};
+
+/**
+ * Finds the index of the first token of the `Then` clause of an If statement
+ * @param {Object[]} tokens The tokens of the statement
+ * @returns {number} The index of the `Then` token or -1
+ */
+const findThen = tokens => tokens.findIndex(token => isKeyword(token, 'then'));
+
+/**
+ * Parses the text of an AutoIt script into a syntax tree.
+ *
+ * The tree consists of a `Script` node holding the top level statements. Block statements
+ * (`If`, `For`, `While`, `Do`, `Select`, `Switch`, `With`) are `Block` nodes whose `body` holds the
+ * nested statements; `ElseIf`, `Else` and `Case` start a `Branch` within the block.
+ * Functions, regions and includes are also collected in flat lists for quick access.
+ * @param {string} text The AutoIt source code
+ * @returns {Object} The Script node
+ */
+export const parse = text => {
+  const { tokens, lineStarts } = tokenize(text);
+  const context = { text, lineStarts };
+  const script = {
+    type: 'Script',
+    text,
+    tokens,
+    lineStarts,
+    body: [],
+    functions: [],
+    regions: [],
+    includes: [],
+    directives: [],
+    declarations: [],
+    blocks: [],
+    start: 0,
+    end: text.length,
+  };
+
+  // containers are the Script, Function, Block and Branch nodes currently open
+  const stack = [script];
+  const regionStack = [];
+  const current = () => stack[stack.length - 1];
+  const currentFunction = () => stack.find(node => node.type === 'Function') || null;
+  const append = node => {
+    node.parent = current();
+    node.function = currentFunction();
+    current().body.push(node);
+  };
+  // pops the containers above `container`, ending them at `endNode`
+  const closeAbove = (container, endNode) => {
+    while (stack.length > 1 && current() !== container) {
+      const node = stack.pop();
+      node.end = endNode.end;
+      node.endLine = endNode.endLine;
+    }
+  };
+  const close = (container, endNode) => {
+    closeAbove(container, endNode);
+    stack.pop();
+    container.end = endNode.end;
+    container.endLine = endNode.endLine;
+  };
+  // finds the innermost open block of one of the given kinds within the current function
+  const findBlock = (...kinds) => {
+    for (let i = stack.length - 1; i > 0; i--) {
+      if (stack[i].type === 'Function') return null;
+      if (stack[i].type === 'Block' && kinds.includes(stack[i].kind)) return stack[i];
+    }
+    return null;
+  };
+
+  for (const { tokens: statementTokens, lineEnd } of splitStatements(tokens, text.length)) {
+    context.lineEnd = lineEnd;
+    const first = statementTokens[0];
+    const keyword = first.type === TokenType.Keyword ? first.value.toLowerCase() : '';
+
+    if (first.type === TokenType.Directive) {
+      const node = parseDirective(first, context);
+      append(node);
+      script.directives.push(node);
+      if (node.type === 'Include') script.includes.push(node);
+
+      if (node.name === 'region') {
+        const region = {
+          type: 'Region',
+          name: node.argument.replace(/^[- ]*/, ''),
+          directive: node,
+          start: node.start,
+          end: text.length,
+          line: node.line,
+          endLine: lineStarts.length - 1,
+          parent: regionStack[regionStack.length - 1] || null,
+          children: [],
+          closed: false,
+        };
+        if (region.parent) region.parent.children.push(region);
+        script.regions.push(region);
+        regionStack.push(region);
+      } else if (node.name === 'endregion' && regionStack.length) {
+        const region = regionStack.pop();
+        region.end = node.end;
+        region.endLine = node.endLine;
+        region.endDirective = node;
+        region.closed = true;
+      }
+      continue;
+    }
+
+    if (keyword === 'func' || (keyword === 'volatile' && isKeyword(statementTokens[1], 'func'))) {
+      const node = parseFunction(statementTokens, context);
+      // a Func without EndFunc ends where the next one starts
+      const open = currentFunction();
+      if (open) close(open, { end: node.start, endLine: node.line - 1 });
+      append(node);
+      script.functions.push(node);
+      stack.push(node);
+      continue;
+    }
+
+    if (keyword === 'endfunc') {
+      const node = createStatement('End', statementTokens, context);
+      const fn = currentFunction();
+      if (fn) {
+        close(fn, node);
+        fn.closed = true;
+        fn.endStatement = node;
+      } else {
+        append(node);
+      }
+      continue;
+    }
+
+    if (keyword in BLOCK_END) {
+      if (keyword === 'if') {
+        const thenIndex = findThen(statementTokens);
+        // single line If: there is code after Then
+        if (thenIndex !== -1 && thenIndex < statementTokens.length - 1) {
+          append(createStatement('If', statementTokens, context));
+          continue;
+        }
+      }
+      const node = createStatement('Block', statementTokens, context);
+      node.kind = BLOCK_NAMES[keyword];
+      node.body = [];
+      node.branches = [];
+      node.closed = false;
+      append(node);
+      script.blocks.push(node);
+      stack.push(node);
+      continue;
+    }
+
+    if (keyword in BRANCH_NAMES) {
+      const node = createStatement('Branch', statementTokens, context);
+      node.kind = BRANCH_NAMES[keyword];
+      node.body = [];
+      const block = keyword === 'case' ? findBlock('Select', 'Switch') : findBlock('If');
+      if (block) {
+        // the previous branch ends on the line before this one
+        closeAbove(block, { end: first.start, endLine: first.line - 1 });
+        node.parent = block;
+        node.function = currentFunction();
+        block.branches.push(node);
+        stack.push(node);
+      } else {
+        append(node);
+      }
+      continue;
+    }
+
+    if (END_KEYWORDS.includes(keyword)) {
+      const node = createStatement('End', statementTokens, context);
+      const block = findBlock(BLOCK_NAMES[END_KEYWORDS_OPEN[keyword]]);
+      if (block) {
+        closeAbove(block, { end: first.start, endLine: first.line - 1 });
+        close(block, node);
+        block.closed = true;
+        block.endStatement = node;
+      } else {
+        append(node);
+      }
+      continue;
+    }
+
+    if (
+      keyword &&
+      DECLARATION_KEYWORDS.includes(keyword) &&
+      // `Dim` and friends used as a plain keyword, e.g. `Local` alone, are ignored
+      statementTokens.length > 1
+    ) {
+      const node = parseDeclaration(statementTokens, context);
+      append(node);
+      script.declarations.push(node);
+      continue;
+    }
+
+    const type = keyword === 'return' ? 'Return' : 'Expression';
+    append(createStatement(type, statementTokens, context));
+  }
+
+  // close whatever is still open at the end of the script
+  const endNode = { end: text.length, endLine: lineStarts.length - 1 };
+  while (stack.length > 1) {
+    const node = stack.pop();
+    node.end = endNode.end;
+    node.endLine = endNode.endLine;
+  }
+
+  return script;
+};
+
+export default parse;
@@ -0,0 +1,96 @@
+/**
+ * Returns every variable declared in a script, including Func parameters.
+ *
+ * `scope` is where the variable lives: `param` and `local` variables belong to `function`,
+ * `global` ones to the whole script. A Local or Dim at the top level of the script is global.
+ * `keyword` is the declaration keyword as written in lowercase (`local`, `global`, `dim`, `static`
+ * or `''` for a bare `Const`/`Enum`).
+ * @param {Object} tree The Script node
+ * @returns {Object[]} The declarations in document order
+ */
+export const getDeclarations = tree => {
+  if (tree.scopeDeclarations) return tree.scopeDeclarations;
+
+  const declarations = [];
+  tree.functions.forEach(fn => {
+    fn.params.forEach(param => {
+      if (!param.name) return;
+      declarations.push({
+        name: param.name,
+        token: param.token,
+        scope: 'param',
+        keyword: param.byRef ? 'byref' : '',
+        isConst: param.isConst,
+        isEnum: false,
+        function: fn,
+        statement: fn,
+        node: param,
+      });
+    });
+  });
+
+  tree.declarations.forEach(statement => {
+    const fn = statement.function;
+    const isGlobal = !fn || statement.scope === 'global';
+    statement.declarators.forEach(declarator => {
+      declarations.push({
+        name: declarator.name,
+        token: declarator.token,
+        scope: isGlobal ? 'global' : 'local',
+        keyword: statement.scope || (statement.isStatic ? 'static' : ''),
+        isConst: statement.isConst,
+        isEnum: statement.isEnum,
+        function: isGlobal ? null : fn,
+        statement,
+        node: declarator,
+      });
+    });
+  });
+
+  declarations.sort((a, b) => a.token.start - b.token.start);
+  tree.scopeDeclarations = declarations;
+  return declarations;
+};
+
+/**
+ * Returns the global declarations of a script
+ * @param {Object} tree The Script node
+ * @returns {Object[]} The global declarations
+ */
+export const getGlobalDeclarations = tree =>
+  getDeclarations(tree).filter(declaration => declaration.scope === 'global');
+
+/**
+ * Groups the declarations of a script by lowercase name
+ * @param {Object} tree The Script node
+ * @returns {Map<string, Object[]>} The declarations of each name in document order
+ */
+const getDeclarationIndex = tree => {
+  if (tree.scopeDeclarationIndex) return tree.scopeDeclarationIndex;
+
+  const index = new Map();
+  getDeclarations(tree).forEach(declaration => {
+    const key = declaration.name.toLowerCase();
+    if (!index.has(key)) index.set(key, []);
+    index.get(key).push(declaration);
+  });
+  tree.scopeDeclarationIndex = index;
+  return index;
+};
+
+/**
+ * Finds the declaration a variable name refers to at an offset.
+ * Parameters and Locals of the enclosing Func win over Globals, as they do in AutoIt.
+ * @param {Object} tree The Script node
+ * @param {string} name The variable name including the `$`
+ * @param {Object|null} fn The Function node the name is used in, or null at global scope
+ * @returns {Object|null} The declaration, or null if the variable is not declared in this script
+ */
+export const findDeclaration = (tree, name, fn) => {
+  const matches = getDeclarationIndex(tree).get(name.toLowerCase()) || [];
+  if (fn) {
+    const local = matches.find(declaration => declaration.function === fn);
+    if (local) return local;
+  }
+  return matches.find(declaration => declaration.scope === 'global') || null;
+};
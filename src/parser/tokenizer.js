@@ -0,0 +1,355 @@
+/**
+ * Types of tokens produced by the tokenizer
+ */
+export const TokenType = {
+  Variable: 'variable',
+  Macro: 'macro',
+  Identifier: 'identifier',
+  Keyword: 'keyword',
+  Number: 'number',
+  String: 'string',
+  Operator: 'operator',
+  Punctuation: 'punctuation',
+  Comment: 'comment',
+  BlockComment: 'blockComment',
+  Directive: 'directive',
+  Continuation: 'continuation',
+  NewLine: 'newline',
+  Unknown: 'unknown',
+};
+
+export const KEYWORDS = new Set([
+  'and',
+  'byref',
+  'case',
+  'const',
+  'continuecase',
+  'continueloop',
+  'default',
+  'dim',
+  'do',
+  'else',
+  'elseif',
+  'endfunc',
+  'endif',
+  'endselect',
+  'endswitch',
+  'endwith',
+  'enum',
+  'exit',
+  'exitloop',
+  'false',
+  'for',
+  'func',
+  'global',
+  'if',
+  'in',
+  'local',
+  'next',
+  'not',
+  'null',
+  'or',
+  'redim',
+  'return',
+  'select',
+  'static',
+  'step',
+  'switch',
+  'then',
+  'to',
+  'true',
+  'until',
+  'volatile',
+  'wend',
+  'while',
+  'with',
+]);
+
+const operatorRegex = /^(?:==|<>|<=|>=|[-+*/&]=|[=<>+\-*/^&?:])/;
+const PUNCTUATION = '()[],.';
+
+const commentStartRegex = /^#(?:cs|comments-start)\b/i;
+const commentEndRegex = /^[\t ]*#(?:ce|comments-end)\b/i;
+const identifierRegex = /[A-Za-z0-9_]/;
+const numberRegex = /^(?:0x[0-9a-f]+|(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)/i;
+
+/**
+ * Builds the array of offsets where each line of the text starts
+ * @param {string} text The text to index
+ * @returns {number[]} The offset of the first character of each line
+ */
+export const getLineStarts = text => {
+  const lineStarts = [0];
+  for (let i = 0; i < text.length; i++) {
+    if (text.charCodeAt(i) === 10) lineStarts.push(i + 1);
+  }
+  return lineStarts;
+};
+
+/**
+ * Finds the zero-based line containing an offset
+ * @param {number[]} lineStarts The result of `getLineStarts`
+ * @param {number} offset The offset to look up
+ * @returns {number} The line number
+ */
+export const lineAtOffset = (lineStarts, offset) => {
+  let low = 0;
+  let high = lineStarts.length - 1;
+  while (low < high) {
+    const mid = (low + high + 1) >> 1;
+    if (lineStarts[mid] <= offset) low = mid;
+    else high = mid - 1;
+  }
+  return low;
+};
+
+/**
+ * Returns the offset of the end of the line that contains `offset`, excluding the line break
+ * @param {string} text The text to search
+ * @param {number} offset An offset within the line
+ * @returns {number} The offset of the line break (or the end of the text)
+ */
+const findLineEnd = (text, offset) => {
+  let end = text.indexOf('\n', offset);
+  if (end === -1) end = text.length;
+  if (end > offset && text.charAt(end - 1) === '\r') end -= 1;
+  return end;
+};
+
+/**
+ * Returns the offset of a `;` comment in a directive argument, ignoring semicolons within quotes
+ * @param {string} text The text to search
+ * @param {number} start Offset to start from
+ * @param {number} end Offset to stop at
+ * @returns {number} The offset of the comment or -1
+ */
+const findDirectiveComment = (text, start, end) => {
+  let quote = null;
+  for (let i = start; i < end; i++) {
+    const char = text.charAt(i);
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === ';' && /\s/.test(text.charAt(i - 1))) {
+      return i;
+    }
+  }
+  return -1;
+};
+
+/**
+ * Splits AutoIt source code into tokens.
+ *
+ * Comments (both `;` and `#cs`/`#ce` blocks) are kept in the token list so features that need them
+ * (folding, formatting) can use them; the parser skips them. A ` _` continuation suppresses the
+ * following `newline` token, so a statement is always the run of tokens between two newlines.
+ * @param {string} text The AutoIt source code
+ * @returns {{tokens: Object[], lineStarts: number[]}} The tokens and line index of the text
+ */
+export const tokenize = text => {
+  const tokens = [];
+  const lineStarts = getLineStarts(text);
+  const { length } = text;
+  let line = 0;
+  let offset = 0;
+  let lineStart = true; // only whitespace seen on the current line so far
+
+  const push = (type, start, end, extra) => {
+    const token = {
+      type,
+      value: text.slice(start, end),
+      start,
+      end,
+      line,
+      character: start - lineStarts[line],
+      ...extra,
+    };
+    tokens.push(token);
+    return token;
+  };
+
+  const lastToken = () => tokens[tokens.length - 1];
+
+  while (offset < length) {
+    const char = text.charAt(offset);
+
+    if (char === '\n') {
+      // a comment may follow the continuation
+      let last = lastToken();
+      if (last && last.type === TokenType.Comment && last.line === line) {
+        last = tokens[tokens.length - 2];
+      }
+      if (!last || last.type !== TokenType.Continuation || last.line !== line)
+        push(TokenType.NewLine, offset, offset + 1);
+      offset += 1;
+      line += 1;
+      lineStart = true;
+      continue;
+    }
+
+    if (char === ' ' || char === '\t' || char === '\r' || char === '\f' || char === '\v') {
+      offset += 1;
+      continue;
+    }
+
+    if (char === ';') {
+      const end = findLineEnd(text, offset);
+      push(TokenType.Comment, offset, end);
+      offset = end;
+      continue;
+    }
+
+    if (char === '#' && lineStart) {
+      const lineEnd = findLineEnd(text, offset);
+      const lineText = text.slice(offset, lineEnd);
+
+      if (commentStartRegex.test(lineText)) {
+        // comment blocks can be nested
+        let depth = 0;
+        let current = offset;
+        let end = length;
+        let endLine = line;
+        while (current < length) {
+          const currentEnd = findLineEnd(text, current);
+          const currentText = text.slice(current, currentEnd);
+          if (commentStartRegex.test(currentText.trimStart())) depth += 1;
+          else if (commentEndRegex.test(currentText)) depth -= 1;
+
+          if (depth === 0) {
+            end = currentEnd;
+            break;
+          }
+          if (currentEnd >= length) {
+            end = length;
+            break;
+          }
+          current = text.indexOf('\n', currentEnd) + 1;
+          endLine += 1;
+        }
+        push(TokenType.BlockComment, offset, end, { endLine, closed: depth === 0 });
+        line = endLine;
+        offset = end;
+        continue;
+      }
+
+      const [name] = lineText.match(/^#[\w-]*/);
+      const commentIndex = findDirectiveComment(text, offset + name.length, lineEnd);
+      const directiveEnd = commentIndex === -1 ? lineEnd : commentIndex;
+      const argument = text.slice(offset + name.length, directiveEnd).trim();
+      push(TokenType.Directive, offset, directiveEnd, {
+        value: text.slice(offset, directiveEnd).trimEnd(),
+        name: name.slice(1).toLowerCase(),
+        argument,
+      });
+      offset = directiveEnd;
+      lineStart = false;
+      continue;
+    }
+    lineStart = false;
+
+    if (char === '"' || char === "'") {
+      const lineEnd = findLineEnd(text, offset);
+      let current = offset + 1;
+      let terminated = false;
+      while (current < lineEnd) {
+        if (text.charAt(current) === char) {
+          // doubled quotes are an escaped quote
+          if (text.charAt(current + 1) === char) {
+            current += 2;
+            continue;
+          }
+          terminated = true;
+          current += 1;
+          break;
+        }
+        current += 1;
+      }
+      push(TokenType.String, offset, current, { quote: char, terminated });
+      offset = current;
+      continue;
+    }
+
+    if (char === '$' || char === '@') {
+      let end = offset + 1;
+      while (end < length && identifierRegex.test(text.charAt(end))) end += 1;
+      push(char === '$' ? TokenType.Variable : TokenType.Macro, offset, end);
+      offset = end;
+      continue;
+    }
+
+    const numberMatch = /[0-9.]/.test(char) && numberRegex.exec(text.slice(offset, offset + 64));
+    if (numberMatch && (char !== '.' || numberMatch[0].length > 1)) {
+      push(TokenType.Number, offset, offset + numberMatch[0].length);
+      offset += numberMatch[0].length;
+      continue;
+    }
+
+    if (identifierRegex.test(char)) {
+      let end = offset + 1;
+      while (end < length && identifierRegex.test(text.charAt(end))) end += 1;
+      const value = text.slice(offset, end);
+
+      if (value === '_') {
+        // continuation only when followed by whitespace or a comment up to the end of the line
+        const rest = text.slice(end, findLineEnd(text, end));
+        if (/^\s*(?:;.*)?$/.test(rest)) {
+          push(TokenType.Continuation, offset, end);
+          offset = end;
+          continue;
+        }
+      }
+
+      const isKeyword = KEYWORDS.has(value.toLowerCase());
+      push(isKeyword ? TokenType.Keyword : TokenType.Identifier, offset, end);
+      offset = end;
+      continue;
+    }
+
+    const operatorMatch = operatorRegex.exec(text.slice(offset, offset + 2));
+    if (operatorMatch) {
+      push(TokenType.Operator, offset, offset + operatorMatch[0].length);
+      offset += operatorMatch[0].length;
+      continue;
+    }
+
+    if (PUNCTUATION.includes(char)) {
+      push(TokenType.Punctuation, offset, offset + 1);
+      offset += 1;
+      continue;
+    }
+
+    push(TokenType.Unknown, offset, offset + 1);
+    offset += 1;
+  }
+
+  return { tokens, lineStarts };
+};
+
+/**
+ * Checks if a token is a comment of either kind
+ * @param {Object} token The token to check
+ * @returns {boolean} `true` for `;` comments and comment blocks
+ */
+export const isComment = token =>
+  token.type === TokenType.Comment || token.type === TokenType.BlockComment;
+
+/**
+ * Checks if a token is the given keyword (case-insensitive)
+ * @param {Object} token The token to check
+ * @param {...string} keywords Lowercase keywords to compare with
+ * @returns {boolean} `true` if the token is one of the keywords
+ */
+export const isKeyword = (token, ...keywords) =>
+  !!token && token.type === TokenType.Keyword && keywords.includes(token.value.toLowerCase());
+
+/**
+ * Checks if a token is the given punctuation or operator character(s)
+ * @param {Object} token The token to check
+ * @param {string} value The punctuation to compare with
+ * @returns {boolean} `true` if the token matches
+ */
+export const isSymbol = (token, value) =>
+  !!token &&
+  (token.type === TokenType.Punctuation || token.type === TokenType.Operator) &&
+  token.value === value;
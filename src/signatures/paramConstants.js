@@ -0,0 +1,115 @@
+import signatures from './index';
+
+/**
+ * Creates the constant group of the style parameter of a GUI control: its own styles and the
+ * window styles, without the extended styles sharing their prefixes
+ * @param {...string} prefixes The prefixes of the control styles, e.g. `$LVS_`
+ * @returns {{prefixes: string[], except: string[]}} The group
+ */
+const styles = (...prefixes) => ({
+  prefixes: [...prefixes, '$WS_'],
+  except: [...prefixes.map(prefix => `${prefix}EX_`), '$WS_EX_'],
+});
+
+const exStyles = { prefixes: ['$WS_EX_'] };
+const fileTimes = { prefixes: ['$FT_MODIFIED', '$FT_CREATED', '$FT_ACCESSED'] };
+const caseSense = { prefixes: ['$STR_CASESENSE', '$STR_NOCASESENSE'] };
+const showFlags = { prefixes: ['@SW_'] };
+
+/**
+ * The constants each flag, mode or style parameter takes, by function and parameter label. A group
+ * lists the prefixes of its constants (or their full names), and `except` the prefixes left out.
+ */
+const paramConstants = {
+  MsgBox: { flag: { prefixes: ['$MB_'] } },
+  FileOpen: { mode: { prefixes: ['$FO_'] } },
+  FileOpenDialog: { options: { prefixes: ['$FD_'] } },
+  FileSaveDialog: { options: { prefixes: ['$FD_'] } },
+  FileSelectFolder: { flag: { prefixes: ['$FSF_'] } },
+  FileCopy: { flag: { prefixes: ['$FC_'] } },
+  FileMove: { flag: { prefixes: ['$FC_'] } },
+  DirCopy: { flag: { prefixes: ['$FC_'] } },
+  FileGetTime: { option: fileTimes, format: { prefixes: ['$FT_ARRAY', '$FT_STRING'] } },
+  FileSetTime: { type: fileTimes, recurse: { prefixes: ['$FT_NONRECURSIVE', '$FT_RECURSIVE'] } },
+  FileGetEncoding: { mode: { prefixes: ['$FE_'] } },
+  FileGetLongName: { flag: { prefixes: ['$FN_'] } },
+  FileGetShortName: { flag: { prefixes: ['$FN_'] } },
+  FileGetVersion: { stringname: { prefixes: ['$FV_'] } },
+  StringSplit: { flag: { prefixes: ['$STR_CHRSPLIT', '$STR_ENTIRESPLIT', '$STR_NOCOUNT'] } },
+  StringStripWS: { flag: { prefixes: ['$STR_STRIP'] } },
+  StringCompare: { casesense: caseSense },
+  StringInStr: { casesense: caseSense },
+  StringReplace: { casesense: caseSense },
+  TrayTip: { option: { prefixes: ['$TIP_'] } },
+  InetGet: {
+    options: {
+      prefixes: [
+        '$INET_LOCALCACHE',
+        '$INET_FORCERELOAD',
+        '$INET_IGNORESSL',
+        '$INET_ASCIITRANSFER',
+        '$INET_BINARYTRANSFER',
+        '$INET_FORCEBYPASS',
+      ],
+    },
+    background: { prefixes: ['$INET_DOWNLOADWAIT', '$INET_DOWNLOADBACKGROUND'] },
+  },
+  WinSetState: { flag: showFlags },
+  GUISetState: { flag: showFlags },
+  GUICreate: { style: styles('$DS_'), exStyle: exStyles },
+  GUICtrlCreateAvi: { style: styles('$ACS_'), exStyle: exStyles },
+  GUICtrlCreateButton: { style: styles('$BS_'), exStyle: exStyles },
+  GUICtrlCreateCheckbox: { style: styles('$BS_'), exStyle: exStyles },
+  GUICtrlCreateRadio: { style: styles('$BS_'), exStyle: exStyles },
+  GUICtrlCreateCombo: { style: styles('$CBS_'), exStyle: exStyles },
+  GUICtrlCreateDate: { style: styles('$DTS_'), exStyle: exStyles },
+  GUICtrlCreateMonthCal: { style: styles('$MCS_'), exStyle: exStyles },
+  GUICtrlCreateEdit: { style: styles('$ES_'), exStyle: exStyles },
+  GUICtrlCreateInput: { style: styles('$ES_'), exStyle: exStyles },
+  GUICtrlCreateLabel: { style: styles('$SS_'), exStyle: exStyles },
+  GUICtrlCreatePic: { style: styles('$SS_'), exStyle: exStyles },
+  GUICtrlCreateIcon: { style: styles('$SS_'), exStyle: exStyles },
+  GUICtrlCreateList: { style: styles('$LBS_'), exStyle: exStyles },
+  GUICtrlCreateListView: {
+    style: styles('$LVS_'),
+    exStyle: { prefixes: ['$LVS_EX_', '$WS_EX_'] },
+  },
+  GUICtrlCreateProgress: { style: styles('$PBS_'), exStyle: exStyles },
+  GUICtrlCreateSlider: { style: styles('$TBS_'), exStyle: exStyles },
+  GUICtrlCreateTab: { style: styles('$TCS_'), exStyle: exStyles },
+  GUICtrlCreateTreeView: { style: styles('$TVS_'), exStyle: exStyles },
+  GUICtrlCreateUpdown: { style: styles('$UDS_') },
+};
+
+/**
+ * Finds the constant group of an argument of a built-in function, from the label the signature
+ * gives the parameter at its position
+ * @param {string} functionName The function name, in any case
+ * @param {number} argumentIndex The position of the argument
+ * @returns {{prefixes: string[], except: string[]}|null} The group, or null if the parameter takes
+ * no constants
+ */
+export const getParamConstants = (functionName, argumentIndex) => {
+  const lowerName = functionName.toLowerCase();
+  const name = Object.keys(paramConstants).find(key => key.toLowerCase() === lowerName);
+  const signature = name && signatures[name];
+  const param = signature && signature.params[argumentIndex];
+  const group = param && paramConstants[name][param.label];
+  return group ? { except: [], ...group } : null;
+};
+
+/**
+ * Checks if a constant or macro belongs to a constant group
+ * @param {string} label The name of the constant, e.g. `$MB_YESNO`
+ * @param {{prefixes: string[], except: string[]}} group The group
+ * @returns {boolean} `true` if the name has one of the prefixes of the group and none it leaves out
+ */
+export const isInConstantGroup = (label, { prefixes, except }) => {
+  const upperLabel = label.toUpperCase();
+  return (
+    prefixes.some(prefix => upperLabel.startsWith(prefix)) &&
+    !except.some(prefix => upperLabel.startsWith(prefix))
+  );
+};
+
+export default paramConstants;
@@ -1,7 +1,12 @@
 const fs = require('fs');
-const path = require('path');
 const { CompletionItemKind, MarkdownString, workspace } = require('vscode');
-const { findFilepath } = require('./ai_config').default;
+const { getFileSyntaxTree } = require('./parser');
+const { resolveInclude } = require('./includeResolver');
+const {
+  findFunctionHeader,
+  getHeaderDocumentation,
+  getParamDocumentation,
+} = require('./functionHeader');
 
 const descriptionHeader = '|Description |Value |\n|:---|:---:|\n';
 const valueFirstHeader = '\n|&nbsp;|&nbsp;&nbsp;&nbsp; |&nbsp;\n|---:|:---:|:---|';
@@ -57,27 +62,6 @@ const getIncludeText = filePath => {
   return fs.readFileSync(filePath).toString();
 };
 
-/**
- * Returns the include path of a given file or path based on the provided document.
- * @param {string} fileOrPath - The file or path to get the include path of.
- * @param {TextDocument} document - The document object to use for determining the include path.
- * @returns {string} The include path of the given file or path.
- */
-const getIncludePath = (fileOrPath, document) => {
-  let includePath = '';
-
-  if (fileOrPath.startsWith(':', 1)) {
-    includePath = fileOrPath;
-  } else {
-    const docDir = path.dirname(document.fileName);
-    includePath = path.join(docDir, fileOrPath);
-  }
-
-  includePath = includePath.charAt(0).toUpperCase() + includePath.slice(1);
-
-  return includePath;
-};
-
 let parenTriggerOn = workspace.getConfiguration('autoit').get('enableParenTriggerForFunctions');
 
 workspace.onDidChangeConfiguration(event => {
@@ -91,7 +75,8 @@ workspace.onDidChangeConfiguration(event => {
  * @param {*} entries The array of Completions to be modified
  * @param {*} kind The enum value of CompletionItemKind to determine icon
  * @param {*} detail Additional information about the entries
- * @param {*} requiredScript Script where completion is defined
+ * @param {*} requiredScript Script where completion is defined, kept as `requiredScript` on each
+ * entry
  * @returns Returns an array of Completion objects
  */
 const fillCompletions = (entries, kind, detail = '', requiredScript = '') => {
@@ -105,6 +90,7 @@ const fillCompletions = (entries, kind, detail = '', requiredScript = '') => {
       ...entry,
       kind,
       detail: newDetail,
+      requiredScript,
       get commitCharacters() {
         return kind === CompletionItemKind.Function && parenTriggerOn ? ['('] : [];
       },
@@ -170,155 +156,73 @@ const signatureToCompletion = (signatures, kind, detail) => {
   return completionSet;
 };
 
-/**
- * Generates an array of Include scripts to search
- * that includes the full range of the region's body
- * @param {TextDocument} document The current document to search
- * @param {String} docText The text from the document
- * @param {Array} scriptsToSearch The destination array
- * @returns SymbolInformation
- */
-const getIncludeScripts = (document, docText, scriptsToSearch) => {
-  const relativeInclude = /^\s*#include\s"(.+)"/gm;
-  const libraryInclude = /^\s*#include\s<(.+)>/gm;
-  let includeFile;
-  let scriptContent;
-
-  let found = relativeInclude.exec(docText);
-  while (found) {
-    // Check if file exists in document directory
-    includeFile = getIncludePath(found[1], document);
-    if (!fs.existsSync(includeFile)) {
-      // Find first instance using include paths
-      includeFile = findFilepath(found[1], false);
-    }
-    if (includeFile && scriptsToSearch.indexOf(includeFile) === -1) {
-      scriptsToSearch.push(includeFile);
-      scriptContent = getIncludeText(includeFile);
-      getIncludeScripts(document, scriptContent, scriptsToSearch);
-    }
-    found = relativeInclude.exec(docText);
-  }
-
-  found = libraryInclude.exec(docText);
-  while (found) {
-    // Find first instance using include paths
-    includeFile = findFilepath(found[1], false);
-    if (includeFile && scriptsToSearch.indexOf(includeFile) === -1) {
-      scriptsToSearch.push(includeFile);
-      scriptContent = getIncludeText(includeFile);
-      getIncludeScripts(document, scriptContent, scriptsToSearch);
-    }
-    found = libraryInclude.exec(docText);
-  }
-};
-
-/**
- * Extracts the documentation for a specific parameter from a given text.
- *
- * @param {string} text - The text containing the parameter documentation.
- * @param {string} paramEntry - The name of the parameter entry to extract the documentation for.
- * @param {number} headerIndex - The index where the header starts in the text.
- * @returns {string} The documentation for the specified parameter, or an empty string if not found.
- */
-const extractParamDocumentation = (text, paramEntry, headerIndex) => {
-  if (headerIndex === -1) return '';
-
-  const headerSubstring = text.substring(headerIndex);
-  const parameterDocRegex = new RegExp(
-    `;\\s*(?:Parameters\\s*\\.+:)?\\s*(?:\\${paramEntry})\\s+-\\s(?<documentation>.+)`,
-  );
-
-  const paramDocMatch = parameterDocRegex.exec(headerSubstring);
-  const paramDoc = paramDocMatch ? paramDocMatch.groups.documentation : '';
-
-  return paramDoc;
-};
-
 /**
  * Returns an object with each parameter as a key and an object with label and documentation properties as its value.
- * @param {string} paramText - A string of comma-separated parameters.
- * @param {string} text - The text from the document
+ * @param {Object[]} paramList - The Parameter nodes of the function from the syntax tree.
+ * @param {Object|null} header - The parsed `; #FUNCTION#` header of the function.
  * @returns {Object} An object with each parameter as a key and an object with label and documentation properties as its value.
  */
-const getParams = (paramText, text, headerIndex) => {
+const getParams = (paramList, header) => {
   const params = {};
 
-  if (!paramText) return params;
-
-  const paramList = paramText.split(',');
   for (const param of paramList) {
-    const paramEntry = param
-      .split('=')[0]
-      .trim()
-      .replace(/^ByRef\s*/, '');
-
-    const paramDoc = extractParamDocumentation(text, paramEntry, headerIndex);
+    const paramEntry = param.name;
+    if (!paramEntry) continue;
 
     params[paramEntry] = {
       label: paramEntry,
-      documentation: paramDoc,
+      documentation: getParamDocumentation(header, paramEntry),
     };
   }
 
   return params;
 };
 
-const getHeaderRegex = functionName =>
-  new RegExp(
-    `;\\s*Name\\s*\\.+:\\s+${functionName}\\s*[\r\n]` +
-      `;\\s+Description\\s*\\.+:\\s+(?<description>.+)[\r\n]`,
-  );
-
 /**
- * Extracts function data from pattern and returns an object containing function name and object
- * @param {RegExpExecArray} functionMatch The results of the includeFuncPattern match
- * @param {string} fileText The contents of the AutoIt Script
+ * Extracts function data from a Func declaration and returns an object containing function name and object
+ * @param {Object} functionNode The Function node from the syntax tree
+ * @param {Object} tree The syntax tree of the AutoIt Script
  * @param {string} fileName The name of the AutoIt Script
- * @returns {Object} Object containing function name and object
+ * @returns {Object} Object containing function name and object. The documentation is Markdown with
+ * the description from the function header on its first line.
  */
-const buildFunctionSignature = (functionMatch, fileText, fileName) => {
-  const { 1: functionLabel, 2: functionName, 3: paramsText } = functionMatch;
+const buildFunctionSignature = (functionNode, tree, fileName) => {
+  const { label: functionLabel, name: functionName, params: paramList } = functionNode;
 
-  const headerRegex = getHeaderRegex(functionName);
-  const headerMatch = fileText.match(headerRegex);
-  const description = headerMatch ? `${headerMatch.groups.description}\r` : '';
-  const functionDocumentation = `${description}Included from ${fileName}`;
-  const functionIndex = headerMatch ? headerMatch.index : -1;
+  const header = findFunctionHeader(tree, functionNode);
+  const headerDocumentation = header ? getHeaderDocumentation(header) : '';
+  const functionDocumentation = [headerDocumentation, `*Included from ${fileName}*`]
+    .filter(Boolean)
+    .join('\n\n');
 
   return {
     functionName,
     functionObject: {
       label: functionLabel,
       documentation: functionDocumentation,
-      params: getParams(paramsText, fileText, functionIndex),
+      params: getParams(paramList, header),
     },
   };
 };
 
 /**
- * Returns an object of AutoIt functions found within a VSCode TextDocument
- * @param {string} fileName The name of the AutoIt script
- * @param {vscode.TextDocument} doc The  TextDocument object representing the AutoIt script
+ * Returns an object of AutoIt functions found within an included script
+ * @param {string} fileName The file named by the `#include`
+ * @param {vscode.TextDocument} doc The TextDocument object of the including script
+ * @param {boolean} [library=false] Whether the script is included with `<>`
  * @returns {Object} Object containing SignatureInformation objects
  */
-const getIncludeData = (fileName, doc) => {
+const getIncludeData = (fileName, doc, library = false) => {
   const functions = {};
-  let filePath = getIncludePath(fileName, doc);
-
-  if (!fs.existsSync(filePath)) {
-    // Find first instance using include paths
-    filePath = findFilepath(fileName, false);
-  }
-  let functionMatch = null;
-  const fileData = getIncludeText(filePath);
-  do {
-    functionMatch = functionDefinitionRegex.exec(fileData);
-    if (functionMatch) {
-      const functionData = buildFunctionSignature(functionMatch, fileData, fileName);
-      functions[functionData.functionName] = functionData.functionObject;
-    }
-  } while (functionMatch);
+  const filePath = resolveInclude(fileName, library, doc.fileName);
+  const tree = filePath && getFileSyntaxTree(filePath);
+  if (!tree) return functions;
+
+  tree.functions.forEach(functionNode => {
+    if (!functionNode.name) return;
+    const functionData = buildFunctionSignature(functionNode, tree, fileName);
+    functions[functionData.functionName] = functionData.functionObject;
+  });
 
   return functions;
 };
@@ -335,7 +239,6 @@ module.exports = {
   AUTOIT_MODE,
   isSkippableLine,
   getIncludeText,
-  getIncludePath,
   fillCompletions,
   signatureToHover,
   includePattern,
@@ -345,10 +248,8 @@ module.exports = {
   libraryIncludePattern,
   completionToHover,
   signatureToCompletion,
-  findFilepath,
   getIncludeData,
   getParams,
-  getIncludeScripts,
   buildFunctionSignature,
   functionDefinitionRegex,
 };